@@ -6,469 +6,5165 @@
  * with volume controls, transitions, and advanced audio features.
  */
 
-export class AudioMark {
+// Minimum time ahead of now that a synchronised transition can be scheduled
+const SYNC_LOOKAHEAD = 0.05;
+
+// How long before a playlist track ends the next one is scheduled. Timers in
+// background tabs are throttled to about once a second, so this stays above that.
+const PLAYLIST_LOOKAHEAD = 1.5;
+
+// File extensions and the MIME types probed with canPlayType()
+const AUDIO_FORMATS = {
+    opus: 'audio/ogg; codecs="opus"',
+    webm: 'audio/webm; codecs="opus"',
+    ogg: 'audio/ogg; codecs="vorbis"',
+    m4a: 'audio/mp4; codecs="mp4a.40.2"',
+    aac: 'audio/aac',
+    mp3: 'audio/mpeg',
+    flac: 'audio/flac',
+    wav: 'audio/wav; codecs="1"'
+};
+
+// Automatic lifecycle handling (see setLifecycle()). hidden and blur are
+// 'suspend', 'duck' or 'none'; duckAmount is in dB and fadeTime in seconds.
+const LIFECYCLE_DEFAULTS = {
+    unlock: true,
+    hidden: 'suspend',
+    blur: 'none',
+    duckAmount: -20,
+    fadeTime: 0.25,
+    recover: true
+};
+
+// Events that count as a user gesture for unlocking audio
+const GESTURE_EVENTS = ['pointerdown', 'pointerup', 'touchend', 'mousedown', 'keydown'];
+
+// Default longest delay in seconds a play may wait for its audio to load
+const LATENCY_TOLERANCE = 0.25;
+
+// What happens to a new SFX play when a voice cap is reached
+const VOICE_POLICIES = ['oldest', 'quietest', 'reject', 'priority'];
+
+// Version of the data written by saveSettings(), checked by loadSettings()
+const SETTINGS_VERSION = 1;
+
+// Smallest gain an exponential ramp fades to before dropping to silence (-80 dB)
+const SILENCE = 0.0001;
+
+// Oscillator shapes for synthesized sound effects
+const SYNTH_WAVES = ['square', 'sawtooth', 'triangle', 'sine', 'noise'];
+
+// Synth parameters: frequencies in Hz, slide in octaves per second, times in
+// seconds and levels from 0 to 1. bits 0 and downsample 1 turn the crusher off.
+const SYNTH_DEFAULTS = {
+    wave: 'square',
+    frequency: 440,
+    minFrequency: 20,
+    slide: 0,
+    changeAt: 0,
+    changeRatio: 1,
+    duty: 0.5,
+    vibratoDepth: 0,
+    vibratoRate: 0,
+    noise: 0,
+    attack: 0.01,
+    decay: 0.1,
+    sustain: 0.5,
+    hold: 0.1,
+    release: 0.2,
+    bits: 0,
+    downsample: 1,
+    volume: 0.5,
+    seed: 1
+};
+
+// Built-in synth presets, applied over SYNTH_DEFAULTS
+const SYNTH_PRESETS = {
+    coin: {
+        wave: 'square', frequency: 990, changeAt: 0.06, changeRatio: 1.5,
+        attack: 0, decay: 0.02, sustain: 0.6, hold: 0.08, release: 0.2
+    },
+    jump: {
+        wave: 'square', frequency: 300, slide: 2, duty: 0.3,
+        attack: 0, decay: 0.05, sustain: 0.6, hold: 0.1, release: 0.15
+    },
+    laser: {
+        wave: 'sawtooth', frequency: 1500, minFrequency: 100, slide: -6,
+        attack: 0, decay: 0.02, sustain: 0.7, hold: 0.05, release: 0.12
+    },
+    explosion: {
+        wave: 'noise', frequency: 60, slide: -0.5, vibratoDepth: 0.2, vibratoRate: 12,
+        attack: 0, decay: 0.1, sustain: 0.5, hold: 0.15, release: 0.5
+    },
+    hit: {
+        wave: 'sawtooth', frequency: 400, slide: -4, noise: 0.4, bits: 6,
+        attack: 0, decay: 0.02, sustain: 0.5, hold: 0.02, release: 0.12
+    }
+};
+
+// Synth parameters that mutateSynth() varies
+const SYNTH_MUTABLE = [
+    'frequency', 'slide', 'changeAt', 'duty', 'vibratoDepth', 'vibratoRate',
+    'noise', 'attack', 'decay', 'sustain', 'hold', 'release'
+];
+
+/**
+ * Base class for all AudioMark errors
+ */
+export class AudioMarkError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {string} code - Machine-readable error code
+     * @param {Object} details - Extra properties, such as audioName or cause
+     */
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * A method that needs the audio context was called before initialize()
+ */
+export class NotInitializedError extends AudioMarkError {
     constructor() {
+        super('AudioMark not initialized. Call initialize() first.', 'NOT_INITIALIZED');
+    }
+}
+
+/**
+ * The audio context could not be created or resumed
+ */
+export class InitializationError extends AudioMarkError {
+    constructor(cause) {
+        super(`AudioMark initialization failed: ${cause.message}`, 'INIT_FAILED', { cause });
+    }
+}
+
+/**
+ * Audio was played or referenced before being loaded
+ */
+export class AudioNotLoadedError extends AudioMarkError {
+    constructor(audioName, message = `Audio "${audioName}" not loaded.`) {
+        super(message, 'AUDIO_NOT_LOADED', { audioName });
+    }
+}
+
+/**
+ * An audio file could not be fetched
+ */
+export class FetchError extends AudioMarkError {
+    /**
+     * @param {string} audioName - Identifier the audio was being loaded as
+     * @param {string} url - URL that was fetched
+     * @param {Object} details - { status, statusText } for HTTP errors, { cause } for network errors
+     */
+    constructor(audioName, url, details = {}) {
+        const reason = details.cause ? details.cause.message : `${details.status} ${details.statusText}`;
+        super(`Failed to fetch audio "${audioName}" from ${url}: ${reason}`, 'FETCH_FAILED', {
+            audioName,
+            url,
+            ...details
+        });
+    }
+}
+
+/**
+ * Audio data could not be decoded
+ */
+export class DecodeError extends AudioMarkError {
+    constructor(audioName, cause) {
+        super(`Failed to decode audio "${audioName}": ${cause ? cause.message : 'unknown error'}`, 'DECODE_FAILED', {
+            audioName,
+            cause
+        });
+    }
+}
+
+/**
+ * Starting playback failed
+ */
+export class PlaybackError extends AudioMarkError {
+    constructor(audioName, cause) {
+        super(`Failed to play audio "${audioName}": ${cause.message}`, 'PLAYBACK_FAILED', { audioName, cause });
+    }
+}
+
+/**
+ * A method was called with an invalid argument, such as an unknown bus
+ */
+export class InvalidArgumentError extends AudioMarkError {
+    constructor(message) {
+        super(message, 'INVALID_ARGUMENT');
+    }
+}
+
+export class AudioMark {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {BaseAudioContext|Function} [options.context] - Audio context to use instead of
+     *     creating an AudioContext, or a function returning one. Accepts an OfflineAudioContext,
+     *     or a mock for running under Node.
+     * @param {Object|boolean} [options.lifecycle] - Lifecycle handling options (see
+     *     setLifecycle()), or false to turn it off
+     */
+    constructor(options = {}) {
+        this.contextSource = options.context || null;
         this.audioContext = null;
+        this.contextState = null;
         this.masterGain = null;
         this.musicGain = null;
         this.sfxGain = null;
         
-        // Volume settings (0-100)
+        // Volume settings (0-100), keyed by bus name
         this.volumes = {
             master: 100,
             music: 100,
             sfx: 100
         };
         
+        // How 0-100 volumes map to gain: { curve: 'linear', 'db' or 'exponential', range in dB }
+        this.volumeCurve = { curve: 'linear', range: 60 };
+        
+        // Silences everything without touching bus volumes or mutes
+        this.globalMute = false;
+        
+        // Page lifecycle handling: options (null when off), and while initialized
+        // { document, window, listeners, background, suspended, unlocking, onGesture, interrupted }
+        this.lifecycleOptions = options.lifecycle === false ? null :
+            { ...LIFECYCLE_DEFAULTS, ...options.lifecycle };
+        this.lifecycle = null;
+        
+        // dB the master bus is lowered by while the page is in the background
+        this.backgroundDuck = 0;
+        
+        // Mixer buses: name -> { name, parent, gain, effects, muted, soloed }
+        // Built-in buses: sfx/music -> master -> destination
+        this.buses = new Map();
+        this._defineBus('master', null);
+        this._defineBus('music', 'master');
+        this._defineBus('sfx', 'master');
+        
         // Audio buffers storage
         this.audioBuffers = new Map();
         
-        // Active sources for tracking and cleanup
-        this.activeSources = new Set();
-        this.activeMusicSources = new Set();
+        // Opt-in persistent cache of fetched files (see enableCache())
+        this.cache = null;
+        
+        // canPlayType() results by extension, probed once: ext -> 'probably', 'maybe' or ''
+        this.formatSupport = null;
+        
+        // Streamed audio, played through media elements: name -> { url, duration, objectUrl }
+        this.audioStreams = new Map();
+        
+        // Sprite maps: buffer name -> { region: { start, duration, loop } }
+        this.audioSprites = new Map();
+        
+        // Asset groups: group -> Set of names, and manifest info: name -> { url, type, group }
+        this.audioGroups = new Map();
+        this.assetInfo = new Map();
+        
+        // Lazily registered audio: name -> { source, options, latencyTolerance }
+        this.registeredAudio = new Map();
+        
+        // Loads in flight: name -> promise, shared by duplicate requests
+        this.pendingLoads = new Map();
+        
+        // Decoded memory: name -> { bytes, lastUsed, source, options }, for LRU eviction
+        this.bufferUsage = new Map();
+        this.pinnedAudio = new Set();
+        this.memoryBudget = Infinity;   // bytes
+        this.useCounter = 0;
+        
+        // Active playbacks for tracking and cleanup
+        this.activePlaybacks = new Set();
+        this.activeMusicPlaybacks = new Set();
+        
+        // SFX voice limiting
+        this.voices = new Set();        // SFX playbacks counted against the caps
+        this.soundOptions = new Map();  // name -> { maxInstances, voicePolicy }
+        this.maxVoices = Infinity;
+        this.voicePolicy = 'oldest';
+        this.voiceStats = {
+            stolen: 0,
+            rejected: 0
+        };
+        
+        // Ducking rules: { id, triggers, target, amount, attack, release }, with amount in dB,
+        // and the duck applied to each target bus: name -> { amount, rule }
+        this.duckRules = [];
+        this.duckState = new Map();
+        this.duckRuleCounter = 0;
+        
+        // Mixer snapshots: name -> { volumes, muted, effects }, and for each
+        // pushSnapshot() the snapshot name and the settings it replaced
+        this.snapshots = new Map();
+        this.snapshotStack = [];
+        
+        // Tempo metadata for beat-synchronised transitions: name -> { bpm, beatsPerBar, offset }
+        this.trackTempos = new Map();
+        
+        // 3D listener, applied to the context's AudioListener
+        this.listener = {
+            position: { x: 0, y: 0, z: 0 },
+            forward: { x: 0, y: 0, z: -1 },
+            up: { x: 0, y: 1, z: 0 }
+        };
         
         // Current music state
         this.currentMusic = null;
         this.isMusicPaused = false;
-        this.musicStartTime = 0;
-        this.musicPauseTime = 0;
+        
+        // Music queue: { tracks, order, position, repeat, shuffle, crossfade, ... }
+        this.playlist = null;
+        
+        // Event listeners: event name -> Set of handlers
+        this.eventListeners = new Map();
+        
+        // How failures are reported: 'throw', 'event' or 'silent'
+        this.errorMode = 'event';
         
         this.isInitialized = false;
     }
     
     /**
-     * Initialize the audio context and gain nodes
-     * Must be called after user interaction
+     * Add an event listener
+     * @param {string} event - 'error', 'load', 'progress', 'play', 'skip', 'ended', 'musicchange',
+     *     'duck', 'contextstatechange' or 'statechange'
+     * @param {Function} handler - Called with the event data
      */
-    async initialize() {
-        try {
-            // Create audio context
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Handle suspended context (user interaction requirement)
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
-            }
-            
-            // Create gain nodes for volume control
-            this.masterGain = this.audioContext.createGain();
-            this.musicGain = this.audioContext.createGain();
-            this.sfxGain = this.audioContext.createGain();
-            
-            // Connect gain nodes: sfx/music -> master -> destination
-            this.musicGain.connect(this.masterGain);
-            this.sfxGain.connect(this.masterGain);
-            this.masterGain.connect(this.audioContext.destination);
-            
-            // Set initial volumes
-            this.updateVolumes();
-            
-            this.isInitialized = true;
-            return true;
-        } catch (error) {
-            alert(`AudioMark initialization failed: ${error.message}`);
-            return false;
+    on(event, handler) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, new Set());
         }
+        this.eventListeners.get(event).add(handler);
+        return this;
     }
     
     /**
-     * Load audio file from URL or File object
-     * @param {string} name - Identifier for the audio
-     * @param {string|File} source - URL string or File object
+     * Remove an event listener
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on() or once()
      */
-    async loadAudio(name, source) {
-        if (!this.isInitialized) {
-            alert('AudioMark not initialized. Call initialize() first.');
-            return false;
-        }
-        
-        try {
-            let arrayBuffer;
-            
-            if (source instanceof File) {
-                // Handle File object
-                arrayBuffer = await source.arrayBuffer();
-            } else {
-                // Handle URL string
-                const response = await fetch(source);
-                if (!response.ok) {
-                    throw new Error(`Failed to fetch audio: ${response.statusText}`);
+    off(event, handler) {
+        const handlers = this.eventListeners.get(event);
+        if (handlers) {
+            handlers.forEach(listener => {
+                if (listener === handler || listener.handler === handler) {
+                    handlers.delete(listener);
                 }
-                arrayBuffer = await response.arrayBuffer();
-            }
-            
-            // Decode audio data
-            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            this.audioBuffers.set(name, audioBuffer);
-            
-            return true;
-        } catch (error) {
-            alert(`Failed to load audio "${name}": ${error.message}`);
-            return false;
+            });
         }
+        return this;
     }
     
     /**
-     * Unload audio file
-     * @param {string} name - Identifier for the audio to unload
+     * Add an event listener that is removed after its first call
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event data
      */
-    unloadAudio(name) {
-        if (this.audioBuffers.has(name)) {
-            this.audioBuffers.delete(name);
-            return true;
-        }
-        return false;
+    once(event, handler) {
+        const wrapper = data => {
+            this.off(event, wrapper);
+            handler(data);
+        };
+        wrapper.handler = handler;
+        return this.on(event, wrapper);
     }
     
     /**
-     * Play sound effect (SFX) - short, low-latency
-     * @param {string} name - Identifier for the SFX
-     * @param {Object} options - Playback options
+     * Call the listeners of an event. A throwing listener does not stop the others.
+     * @private
      */
-    playSFX(name, options = {}) {
-        const {
-            loop = false,
-            volume = 1.0,
-            fadeIn = 0
-        } = options;
+    _emit(event, data) {
+        const handlers = this.eventListeners.get(event);
+        if (!handlers || handlers.size === 0) return false;
         
-        return this._playAudio(name, this.sfxGain, {
-            loop,
-            volume,
-            fadeIn,
-            type: 'sfx'
+        Array.from(handlers).forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`AudioMark "${event}" listener failed:`, error);
+            }
         });
+        return true;
     }
     
     /**
-     * Play music with full controls
-     * @param {string} name - Identifier for the music
-     * @param {Object} options - Playback options
+     * Set how failures are reported
+     * @param {string} mode - 'throw' (throw the error), 'event' (emit 'error') or 'silent'
      */
-    playMusic(name, options = {}) {
-        const {
-            loop = true,
-            volume = 1.0,
-            fadeIn = 0,
-            stopCurrent = true
-        } = options;
-        
-        // Stop current music if requested
-        if (stopCurrent && this.currentMusic) {
-            this.stopMusic();
-        }
-        
-        const source = this._playAudio(name, this.musicGain, {
-            loop,
-            volume,
-            fadeIn,
-            type: 'music'
-        });
-        
-        if (source) {
-            this.currentMusic = {
-                source,
-                name,
-                startTime: this.audioContext.currentTime,
-                loop
-            };
-            this.isMusicPaused = false;
-            this.activeMusicSources.add(source);
+    setErrorMode(mode) {
+        if (!['throw', 'event', 'silent'].includes(mode)) {
+            this._reportError(new InvalidArgumentError(`Unknown error mode "${mode}".`));
+            return false;
         }
-        
-        return source;
+        this.errorMode = mode;
+        return true;
     }
     
     /**
-     * Internal method to play audio
+     * Report a failure according to the error mode
      * @private
      */
-    _playAudio(name, gainNode, options) {
-        if (!this.isInitialized) {
-            alert('AudioMark not initialized.');
-            return null;
+    _reportError(error) {
+        if (this.errorMode === 'throw') {
+            throw error;
         }
-        
-        const audioBuffer = this.audioBuffers.get(name);
-        if (!audioBuffer) {
-            alert(`Audio "${name}" not loaded.`);
-            return null;
-        }
-        
-        try {
-            // Create source node
-            const source = this.audioContext.createBufferSource();
-            source.buffer = audioBuffer;
-            source.loop = options.loop;
-            
-            // Create gain node for individual volume control
-            const sourceGain = this.audioContext.createGain();
-            source.connect(sourceGain);
-            sourceGain.connect(gainNode);
-            
-            // Set volume
-            sourceGain.gain.setValueAtTime(options.volume, this.audioContext.currentTime);
-            
-            // Handle fade-in
-            if (options.fadeIn > 0) {
-                sourceGain.gain.setValueAtTime(0, this.audioContext.currentTime);
-                sourceGain.gain.linearRampToValueAtTime(options.volume, 
-                    this.audioContext.currentTime + options.fadeIn);
-            }
-            
-            // Track active sources for cleanup
-            this.activeSources.add(source);
-            
-            // Clean up when finished
-            source.onended = () => {
-                this.activeSources.delete(source);
-                if (options.type === 'music') {
-                    this.activeMusicSources.delete(source);
-                    if (this.currentMusic && this.currentMusic.source === source) {
-                        this.currentMusic = null;
-                    }
-                }
-            };
-            
-            // Start playback
-            source.start(0);
-            
-            return source;
-        } catch (error) {
-            alert(`Failed to play audio "${name}": ${error.message}`);
-            return null;
+        if (this.errorMode === 'event' && !this._emit('error', error)) {
+            // Nobody is listening: don't let the failure disappear
+            console.error(error);
         }
     }
     
     /**
-     * Stop all music
+     * Report a failure from a timer or event callback. Nothing can catch an
+     * error thrown there, so the 'throw' mode emits it instead.
+     * @private
      */
-    stopMusic() {
-        this.activeMusicSources.forEach(source => {
-            try {
-                source.stop();
-            } catch (e) {
-                // Source may already be stopped
-            }
-        });
-        this.activeMusicSources.clear();
-        this.currentMusic = null;
-        this.isMusicPaused = false;
+    _reportAsyncError(error) {
+        if (this.errorMode !== 'throw') {
+            this._reportError(error);
+        } else if (!this._emit('error', error)) {
+            console.error(error);
+        }
     }
     
     /**
-     * Pause current music
+     * Initialize the audio context and gain nodes. With lifecycle handling,
+     * this can be called before any user interaction: audio starts on the
+     * first gesture. Otherwise, call it from a user interaction.
      */
-    pauseMusic() {
-        if (this.currentMusic && !this.isMusicPaused) {
-            this.musicPauseTime = this.audioContext.currentTime;
+    async initialize() {
+        try {
+            this.audioContext = this._createContext();
             
-            // Stop the audio source but preserve the music state for resume
-            if (this.currentMusic.source) {
-                try {
-                    this.currentMusic.source.stop();
-                } catch (e) {
-                    // Source may already be stopped
+            // Handle suspended context (user interaction requirement). An
+            // OfflineAudioContext stays suspended until rendering starts.
+            if (this.audioContext.state === 'suspended' && !isOfflineContext(this.audioContext)) {
+                if (this._getLifecycleTargets()) {
+                    // Before a user gesture resume() may never settle, so
+                    // don't wait for it; the first gesture unlocks audio
+                    this.audioContext.resume().catch(() => {});
+                } else {
+                    await this.audioContext.resume();
                 }
-                this.activeSources.delete(this.currentMusic.source);
-                this.activeMusicSources.delete(this.currentMusic.source);
-                // Set source to null but keep the rest of currentMusic intact
-                this.currentMusic.source = null;
             }
             
-            this.isMusicPaused = true;
+            // Create gain nodes for every bus (parents are always defined first)
+            this.buses.forEach(bus => this._createBusNode(bus));
+            this.masterGain = this.buses.get('master').gain;
+            this.musicGain = this.buses.get('music').gain;
+            this.sfxGain = this.buses.get('sfx').gain;
+            
+            this.contextState = this.audioContext.state;
+            this.audioContext.onstatechange = () => this._onContextStateChange();
+            this.isInitialized = true;
+            
+            // Set initial volumes and listener
+            this.updateVolumes();
+            this._applyListener();
+            this._attachLifecycle();
+            
+            this._emit('statechange', this.getState());
             return true;
+        } catch (error) {
+            this._reportError(new InitializationError(error));
+            return false;
         }
-        return false;
     }
     
     /**
-     * Resume paused music
+     * Get the injected audio context, or create one
+     * @private
      */
-    resumeMusic() {
-        if (this.currentMusic && this.isMusicPaused) {
-            // Calculate offset for resume
-            const elapsed = this.musicPauseTime - this.currentMusic.startTime;
-            const buffer = this.audioBuffers.get(this.currentMusic.name);
-            
-            if (buffer) {
-                const source = this.audioContext.createBufferSource();
-                source.buffer = buffer;
-                source.loop = this.currentMusic.loop;
-                source.connect(this.musicGain);
-                
-                // Resume from pause position
-                const offset = this.currentMusic.loop ? elapsed % buffer.duration : elapsed;
-                source.start(0, Math.max(0, offset));
-                
-                // Update the current music source and timing
-                this.currentMusic.source = source;
-                this.currentMusic.startTime = this.audioContext.currentTime - elapsed;
-                this.activeMusicSources.add(source);
-                this.activeSources.add(source);
-                
-                source.onended = () => {
-                    this.activeSources.delete(source);
-                    this.activeMusicSources.delete(source);
-                    if (this.currentMusic && this.currentMusic.source === source) {
-                        this.currentMusic = null;
-                        this.isMusicPaused = false;
-                    }
-                };
-                
-                this.isMusicPaused = false;
-                return true;
-            }
+    _createContext() {
+        const source = this.contextSource;
+        if (typeof source === 'function') return source();
+        if (source) return source;
+        
+        const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+        if (!AudioContextClass) {
+            throw new Error('Web Audio is not available. Pass a context to the AudioMark constructor.');
         }
-        return false;
+        return new AudioContextClass();
     }
     
     /**
-     * Stop all audio
+     * Emit 'contextstatechange' and 'statechange' when the audio context
+     * changes state, and let lifecycle handling react
+     * @private
      */
-    stopAll() {
-        this.activeSources.forEach(source => {
-            try {
-                source.stop();
-            } catch (e) {
-                // Source may already be stopped
-            }
-        });
-        this.activeSources.clear();
-        this.activeMusicSources.clear();
-        this.currentMusic = null;
-        this.isMusicPaused = false;
+    _onContextStateChange() {
+        const state = this.audioContext.state;
+        const previous = this.contextState;
+        this.contextState = state;
+        
+        if (state !== previous) {
+            this._emit('contextstatechange', { state, previous });
+        }
+        this._emit('statechange', this.getState());
+        
+        if (this.lifecycle) {
+            this._updateLifecycle();
+        }
     }
     
     /**
-     * Set volume for master, music, or sfx
-     * @param {string} type - 'master', 'music', or 'sfx'
-     * @param {number} volume - Volume from 0 to 100
+     * Change automatic handling of autoplay rules, page visibility and
+     * interruptions. Only works in a browser page, with a realtime context.
+     * @param {Object|boolean} options - Lifecycle options, or false to turn handling off
+     * @param {boolean} [options.unlock=true] - Resume audio on the first pointer, touch or key gesture
+     * @param {string} [options.hidden='suspend'] - While the page is hidden: 'suspend', 'duck' or 'none'
+     * @param {string} [options.blur='none'] - While the window has lost focus: 'suspend', 'duck' or 'none'
+     * @param {number} [options.duckAmount=-20] - dB to lower all audio by when ducking
+     * @param {number} [options.fadeTime=0.25] - Seconds to duck and recover over
+     * @param {boolean} [options.recover=true] - Resume after an interruption, such as a phone call on iOS
+     * @param {Document} [options.document] - Document to watch (default: the page's)
+     * @param {Window} [options.window] - Window to watch (default: the page's)
+     * @returns {boolean} Whether the options were valid
      */
-    setVolume(type, volume) {
-        volume = Math.max(0, Math.min(100, volume));
-        this.volumes[type] = volume;
-        this.updateVolumes();
+    setLifecycle(options = {}) {
+        if (options !== false) {
+            const invalid = ['hidden', 'blur'].find(reason =>
+                options[reason] !== undefined && !['suspend', 'duck', 'none'].includes(options[reason]));
+            if (invalid) {
+                this._reportError(new InvalidArgumentError(`Lifecycle ${invalid} must be 'suspend', 'duck' or 'none', not "${options[invalid]}".`));
+                return false;
+            }
+        }
+        
+        this._detachLifecycle();
+        this.lifecycleOptions = options === false ? null : { ...LIFECYCLE_DEFAULTS, ...options };
+        if (this.isInitialized) {
+            this._attachLifecycle();
+        }
+        return true;
     }
     
     /**
-     * Get current volume
-     * @param {string} type - 'master', 'music', or 'sfx'
+     * The document and window lifecycle handling listens to, or null when
+     * it is off or there is no page
+     * @private
      */
-    getVolume(type) {
-        return this.volumes[type];
+    _getLifecycleTargets() {
+        const options = this.lifecycleOptions;
+        if (!options || (this.audioContext && isOfflineContext(this.audioContext))) return null;
+        
+        const doc = options.document || (typeof document !== 'undefined' ? document : null);
+        const win = options.window || (typeof window !== 'undefined' ? window : null);
+        return doc ? { document: doc, window: win } : null;
     }
     
     /**
-     * Update gain node volumes based on current settings
+     * Start listening for gestures, visibility and focus changes
      * @private
      */
-    updateVolumes() {
-        if (!this.isInitialized) return;
+    _attachLifecycle() {
+        const targets = this._getLifecycleTargets();
+        if (!targets || this.lifecycle) return;
+        
+        const options = this.lifecycleOptions;
+        const lifecycle = {
+            ...targets,
+            listeners: [],
+            background: new Set(),
+            suspended: false,
+            unlocking: false,
+            onGesture: null,
+            interrupted: false
+        };
+        this.lifecycle = lifecycle;
         
-        const masterVol = this.volumes.master / 100;
-        const musicVol = (this.volumes.music / 100) * masterVol;
-        const sfxVol = (this.volumes.sfx / 100) * masterVol;
+        const listen = (target, event, handler) => {
+            target.addEventListener(event, handler, { capture: true, passive: true });
+            lifecycle.listeners.push([target, event, handler]);
+        };
+        
+        listen(lifecycle.document, 'visibilitychange', () => {
+            this._setBackground('hidden', lifecycle.document.hidden);
+        });
+        if (lifecycle.window) {
+            listen(lifecycle.window, 'blur', () => this._setBackground('blur', true));
+            listen(lifecycle.window, 'focus', () => this._setBackground('blur', false));
+        }
         
-        this.masterGain.gain.setValueAtTime(masterVol, this.audioContext.currentTime);
-        this.musicGain.gain.setValueAtTime(musicVol, this.audioContext.currentTime);
-        this.sfxGain.gain.setValueAtTime(sfxVol, this.audioContext.currentTime);
+        if (lifecycle.document.hidden) {
+            this._setBackground('hidden', true);
+        }
+        if (options.unlock && this.audioContext.state !== 'running') {
+            this._armUnlock();
+        }
     }
     
     /**
-     * Fade out audio over specified duration
-     * @param {AudioBufferSourceNode} source - The audio source to fade
-     * @param {number} duration - Fade duration in seconds
+     * Stop lifecycle handling, undoing any background suspend or duck
+     * @private
+     */
+    _detachLifecycle() {
+        const lifecycle = this.lifecycle;
+        if (!lifecycle) return;
+        
+        this._disarmUnlock();
+        lifecycle.listeners.forEach(([target, event, handler]) => {
+            target.removeEventListener(event, handler, { capture: true });
+        });
+        lifecycle.background.clear();
+        this._applyBackground();
+        this.lifecycle = null;
+    }
+    
+    /**
+     * Resume audio on the next user gesture
+     * @private
+     */
+    _armUnlock() {
+        const lifecycle = this.lifecycle;
+        if (lifecycle.unlocking) return;
+        
+        lifecycle.unlocking = true;
+        lifecycle.onGesture = () => this._tryResume();
+        GESTURE_EVENTS.forEach(event => {
+            lifecycle.document.addEventListener(event, lifecycle.onGesture, { capture: true, passive: true });
+        });
+    }
+    
+    /**
+     * Stop waiting for a user gesture
+     * @private
+     */
+    _disarmUnlock() {
+        const lifecycle = this.lifecycle;
+        if (!lifecycle || !lifecycle.unlocking) return;
+        
+        lifecycle.unlocking = false;
+        GESTURE_EVENTS.forEach(event => {
+            lifecycle.document.removeEventListener(event, lifecycle.onGesture, { capture: true });
+        });
+    }
+    
+    /**
+     * Resume the context, unless it was suspended for the background
+     * @private
+     */
+    _tryResume() {
+        const state = this.audioContext.state;
+        if (this.lifecycle.suspended || state === 'running' || state === 'closed') return;
+        
+        this.audioContext.resume().catch(() => {});
+    }
+    
+    /**
+     * React to a context state change: stop waiting for a gesture once
+     * audio runs, and try to recover from interruptions
+     * @private
+     */
+    _updateLifecycle() {
+        const lifecycle = this.lifecycle;
+        const options = this.lifecycleOptions;
+        const state = this.audioContext.state;
+        
+        if (state === 'running') {
+            lifecycle.interrupted = false;
+            this._disarmUnlock();
+        } else if (state === 'interrupted' && options.recover) {
+            // iOS Safari interrupts audio for calls, alarms and other apps. It
+            // may need a gesture to resume afterwards, so listen for one too.
+            lifecycle.interrupted = true;
+            this._armUnlock();
+        } else if (state === 'suspended' && lifecycle.interrupted) {
+            // The interruption has ended
+            this._tryResume();
+        }
+    }
+    
+    /**
+     * Mark a reason for being in the background (page hidden or window
+     * blurred) as started or ended
+     * @private
+     */
+    _setBackground(reason, active) {
+        const background = this.lifecycle.background;
+        if (active === background.has(reason)) return;
+        
+        if (active) {
+            background.add(reason);
+        } else {
+            background.delete(reason);
+        }
+        this._applyBackground();
+        
+        // Coming back is also a chance to recover from an interruption
+        if (!active && this.lifecycle.interrupted) {
+            this._tryResume();
+        }
+    }
+    
+    /**
+     * Suspend or duck for the strongest background reason, or undo it
+     * @private
+     */
+    _applyBackground() {
+        const lifecycle = this.lifecycle;
+        const options = this.lifecycleOptions;
+        const modes = Array.from(lifecycle.background).map(reason => options[reason]);
+        const mode = modes.includes('suspend') ? 'suspend' : modes.includes('duck') ? 'duck' : 'none';
+        
+        const duck = mode === 'duck' ? options.duckAmount : 0;
+        if (duck !== this.backgroundDuck) {
+            this.backgroundDuck = duck;
+            this._rampBusGain(this.buses.get('master'), options.fadeTime);
+        }
+        
+        if (mode === 'suspend' && !lifecycle.suspended && this.audioContext.state === 'running') {
+            lifecycle.suspended = true;
+            this.audioContext.suspend().catch(() => {});
+        } else if (mode !== 'suspend' && lifecycle.suspended) {
+            lifecycle.suspended = false;
+            this._tryResume();
+        }
+    }
+    
+    /**
+     * Load audio from a URL, a File or Blob, or encoded audio data in memory
+     * @param {string} name - Identifier for the audio
+     * @param {string|string[]|ArrayBuffer|Blob|Response} source - URL string, alternative URLs
+     *     (best format is used), encoded audio data, File or Blob, or a fetch() Response
+     * @param {Object} options - Load options
+     * @param {Object} [options.sprite] - Sprite map of { region: [startSec, durationSec, loop?] }
+     * @param {number} [options.maxInstances] - Maximum simultaneous SFX instances of this sound
+     * @param {string} [options.voicePolicy] - Policy used when maxInstances is reached
+     * @param {Object} [options.tempo] - Tempo metadata { bpm, beatsPerBar, offset }
+     * @param {string} [options.group] - Group name for unloadGroup()
+     * @param {AbortSignal} [options.signal] - Signal to cancel the fetch
+     * @param {Function} [options.onProgress] - Called with (bytesLoaded, bytesTotal) while fetching
+     * @param {boolean} [options.stream] - Stream through a media element instead of decoding
+     * @param {string} [options.version] - Version or content hash, for the persistent cache
+     * @param {boolean} [options.cache=true] - Whether to use the persistent cache, if enabled
      */
-    fadeOut(source, duration = 1.0) {
-        if (!source || !this.isInitialized) return;
+    async loadAudio(name, source, options = {}) {
+        if (!this.isInitialized) {
+            this._reportError(new NotInitializedError());
+            return false;
+        }
+        
+        // Loading a registered name without a source uses its registration
+        if (source === undefined && this.registeredAudio.has(name)) {
+            ({ source, options } = this.registeredAudio.get(name));
+        }
         
         try {
-            const currentTime = this.audioContext.currentTime;
-            const gainNode = source.connect ? this.audioContext.createGain() : null;
-            
-            if (gainNode) {
-                source.disconnect();
-                source.connect(gainNode);
-                gainNode.connect(this.musicGain);
-                
-                gainNode.gain.setValueAtTime(1.0, currentTime);
-                gainNode.gain.linearRampToValueAtTime(0, currentTime + duration);
+            await this._loadAudio(name, source, options);
+            return true;
+        } catch (error) {
+            this._reportError(this._toLoadError(name, error));
+            return false;
+        }
+    }
+    
+    /**
+     * Load audio, sharing one request between duplicate calls; throws on failure
+     * @private
+     */
+    _loadAudio(name, source, options = {}) {
+        if (this.pendingLoads.has(name)) {
+            return this.pendingLoads.get(name);
+        }
+        
+        const request = this._fetchAndStore(name, source, options);
+        this.pendingLoads.set(name, request);
+        
+        const settle = () => {
+            if (this.pendingLoads.get(name) === request) {
+                this.pendingLoads.delete(name);
+            }
+        };
+        request.then(settle, settle);
+        
+        return request;
+    }
+    
+    /**
+     * Fetch, decode and store audio; throws on failure
+     * @private
+     */
+    async _fetchAndStore(name, source, options = {}) {
+        if (Array.isArray(source)) {
+            return this._loadAlternatives(name, source, options);
+        }
+        
+        if (options.stream) {
+            const stream = await this._openStream(name, source, options);
+            this._releaseAudio(name);
+            this.audioStreams.set(name, stream);
+            this._storeMetadata(name, options);
+            return;
+        }
+        
+        const arrayBuffer = await this._readSource(name, source, options);
+        
+        // Decode audio data
+        let audioBuffer;
+        try {
+            audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        } catch (error) {
+            throw new DecodeError(name, error);
+        }
+        this._releaseAudio(name);
+        this.audioBuffers.set(name, audioBuffer);
+        
+        // Keep the source so an evicted buffer can be read again. A Response
+        // body can only be read once, so that audio is never evicted.
+        const { signal, onProgress, ...reloadOptions } = options;
+        this.bufferUsage.set(name, {
+            bytes: getBufferBytes(audioBuffer),
+            lastUsed: ++this.useCounter,
+            source: isResponse(source) ? null : source,
+            options: reloadOptions
+        });
+        
+        if (options.sprite) {
+            this.audioSprites.set(name, this._parseSprite(options.sprite, audioBuffer));
+        }
+        
+        this._storeMetadata(name, options);
+    }
+    
+    /**
+     * Load the best supported of several alternative URLs, falling back to
+     * the next one if a file cannot be fetched or decoded
+     * @private
+     */
+    async _loadAlternatives(name, sources, options) {
+        const candidates = this._rankSources(sources);
+        if (candidates.length === 0) {
+            throw new AudioMarkError(`No supported format for audio "${name}".`, 'UNSUPPORTED_FORMAT', {
+                audioName: name,
+                sources
+            });
+        }
+        
+        let lastError;
+        for (const url of candidates) {
+            try {
+                return await this._fetchAndStore(name, url, options);
+            } catch (error) {
+                if (error.code === 'ABORTED') throw error;
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+    
+    /**
+     * Order alternative URLs by how well the browser supports their format,
+     * keeping the given order among equals and dropping unsupported ones
+     * @private
+     */
+    _rankSources(sources) {
+        const support = this._getFormatSupport();
+        const rank = { probably: 2, maybe: 1, '': 0 };
+        
+        return sources
+            .map(url => {
+                const extension = getExtension(url);
+                // Unknown extensions (or no way to probe) are worth a try
+                const level = support && extension in support ? support[extension] : 'maybe';
+                return { url, rank: rank[level] };
+            })
+            .filter(candidate => candidate.rank > 0)
+            .sort((a, b) => b.rank - a.rank)
+            .map(candidate => candidate.url);
+    }
+    
+    /**
+     * Probe canPlayType() for every known format, once
+     * @private
+     * @returns {Object|null} ext -> 'probably', 'maybe' or '', or null if it cannot be probed
+     */
+    _getFormatSupport() {
+        if (this.formatSupport === null && typeof Audio !== 'undefined') {
+            const probe = new Audio();
+            this.formatSupport = {};
+            Object.entries(AUDIO_FORMATS).forEach(([extension, mimeType]) => {
+                this.formatSupport[extension] = probe.canPlayType(mimeType);
+            });
+        }
+        return this.formatSupport;
+    }
+    
+    /**
+     * Get the audio formats this browser can play, best supported first
+     * @returns {string[]} File extensions, such as ['opus', 'ogg', 'mp3']
+     */
+    getSupportedFormats() {
+        const support = this._getFormatSupport();
+        if (!support) return [];
+        
+        const formats = Object.keys(support).filter(extension => support[extension] !== '');
+        return formats
+            .filter(extension => support[extension] === 'probably')
+            .concat(formats.filter(extension => support[extension] === 'maybe'));
+    }
+    
+    /**
+     * Store the tempo, voice options and group given when loading audio,
+     * then announce the load
+     * @private
+     */
+    _storeMetadata(name, options) {
+        if (options.tempo) {
+            this.setTrackTempo(name, options.tempo);
+        }
+        
+        if (options.maxInstances !== undefined || options.voicePolicy !== undefined) {
+            this.setSoundOptions(name, {
+                maxInstances: options.maxInstances,
+                voicePolicy: options.voicePolicy
+            });
+        }
+        
+        if (options.group) {
+            if (!this.audioGroups.has(options.group)) {
+                this.audioGroups.set(options.group, new Set());
+            }
+            this.audioGroups.get(options.group).add(name);
+        }
+        
+        this._emit('load', { name });
+        this._enforceMemoryBudget(name);
+    }
+    
+    /**
+     * Check that a streamed source can be played and read its duration,
+     * without downloading more than its metadata
+     * @private
+     */
+    async _openStream(name, source, options = {}) {
+        const { signal } = options;
+        
+        // In-memory sources are played from an object URL
+        const objectUrl = typeof source !== 'string';
+        if (isResponse(source)) {
+            source = await source.blob();
+        } else if (objectUrl && !(source instanceof Blob)) {
+            source = new Blob([source]);
+        }
+        const url = objectUrl ? URL.createObjectURL(source) : source;
+        
+        const element = new Audio();
+        element.crossOrigin = 'anonymous';
+        element.preload = 'metadata';
+        
+        let duration;
+        let abort = null;
+        try {
+            await new Promise((resolve, reject) => {
+                element.onloadedmetadata = resolve;
+                element.onerror = () => {
+                    // MEDIA_ERR_SRC_NOT_SUPPORTED: the file is there but cannot be played
+                    reject(element.error && element.error.code === 4
+                        ? new DecodeError(name, element.error)
+                        : new FetchError(name, url, { cause: element.error }));
+                };
                 
-                setTimeout(() => {
-                    try {
-                        source.stop();
-                    } catch (e) {
-                        // Source may already be stopped
-                    }
-                }, duration * 1000);
+                if (signal) {
+                    abort = () => reject(new AudioMarkError(`Loading audio "${name}" was cancelled.`, 'ABORTED', { audioName: name }));
+                    if (signal.aborted) return abort();
+                    signal.addEventListener('abort', abort, { once: true });
+                }
+                element.src = url;
+            });
+            duration = element.duration;
+        } catch (error) {
+            if (objectUrl) URL.revokeObjectURL(url);
+            throw error;
+        } finally {
+            if (abort) signal.removeEventListener('abort', abort);
+            element.onloadedmetadata = null;
+            element.onerror = null;
+            element.removeAttribute('src');
+            element.load();
+        }
+        
+        return { url, duration, objectUrl };
+    }
+    
+    /**
+     * Drop the decoded or streamed data held for a name
+     * @private
+     */
+    _releaseAudio(name) {
+        const stream = this.audioStreams.get(name);
+        if (stream && stream.objectUrl) {
+            URL.revokeObjectURL(stream.url);
+        }
+        this.audioStreams.delete(name);
+        this.audioBuffers.delete(name);
+        this.audioSprites.delete(name);
+        this.bufferUsage.delete(name);
+    }
+    
+    /**
+     * Wrap any load failure in an AudioMarkError
+     * @private
+     */
+    _toLoadError(name, error) {
+        if (error instanceof AudioMarkError) return error;
+        return new AudioMarkError(`Failed to load audio "${name}": ${error.message}`, 'LOAD_FAILED', {
+            audioName: name,
+            cause: error
+        });
+    }
+    
+    /**
+     * Read the raw bytes of an audio source
+     * @private
+     */
+    async _readSource(name, source, options = {}) {
+        const { onProgress } = options;
+        
+        if (isResponse(source)) {
+            return this._readResponse(name, source.url, source, onProgress);
+        }
+        
+        if (typeof source !== 'string') {
+            const arrayBuffer = await readBytes(source);
+            if (onProgress) onProgress(arrayBuffer.byteLength, arrayBuffer.byteLength);
+            return arrayBuffer;
+        }
+        
+        // Handle URL string, from the persistent cache when it has this version
+        const useCache = this.cache && options.cache !== false;
+        const version = options.version !== undefined ? String(options.version) : null;
+        
+        if (useCache) {
+            const cached = await this.cache.get(source, version).catch(() => null);
+            if (cached) {
+                if (onProgress) onProgress(cached.byteLength, cached.byteLength);
+                return cached;
             }
+        }
+        
+        const arrayBuffer = await this._fetchSource(name, source, options);
+        
+        if (useCache) {
+            // decodeAudioData() detaches the buffer, so the cache keeps a copy.
+            // A failed write (such as a full quota) only means a later network fetch.
+            this.cache.put(source, version, arrayBuffer.slice(0)).catch(() => {});
+        }
+        return arrayBuffer;
+    }
+    
+    /**
+     * Fetch the raw bytes of a URL, reporting progress if asked
+     * @private
+     */
+    async _fetchSource(name, source, options = {}) {
+        const { signal, onProgress } = options;
+        
+        let response;
+        try {
+            response = await fetch(source, signal ? { signal } : undefined);
         } catch (error) {
-            alert(`Fade out error: ${error.message}`);
+            if (signal && signal.aborted) {
+                throw new AudioMarkError(`Loading audio "${name}" was cancelled.`, 'ABORTED', { audioName: name });
+            }
+            throw new FetchError(name, source, { cause: error });
         }
+        
+        return this._readResponse(name, source, response, onProgress);
     }
     
     /**
-     * Transition from one music track to another with crossfade
-     * @param {string} newTrackName - Name of the new track to play
-     * @param {number} transitionTime - Transition duration in seconds
-     * @param {Object} options - Options for the new track
+     * Read the body of a fetch() Response, reporting progress if asked
+     * @private
      */
-    async transitionMusic(newTrackName, transitionTime = 2.0, options = {}) {
-        if (!this.audioBuffers.has(newTrackName)) {
-            alert(`Music track "${newTrackName}" not loaded.`);
-            return false;
+    async _readResponse(name, url, response, onProgress) {
+        if (!response.ok) {
+            throw new FetchError(name, url, { status: response.status, statusText: response.statusText });
         }
         
-        const currentSource = this.currentMusic ? this.currentMusic.source : null;
+        if (!onProgress) {
+            return response.arrayBuffer();
+        }
         
-        // Start new music with fade-in
-        const newSource = this.playMusic(newTrackName, {
-            ...options,
-            fadeIn: transitionTime,
-            volume: options.volume || 1.0,
-            stopCurrent: false
+        // Stream the body so progress can be reported as bytes arrive
+        const total = Number(response.headers && response.headers.get('Content-Length')) || 0;
+        if (!response.body || !response.body.getReader) {
+            const arrayBuffer = await response.arrayBuffer();
+            onProgress(arrayBuffer.byteLength, total || arrayBuffer.byteLength);
+            return arrayBuffer;
+        }
+        
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+        
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            received += value.byteLength;
+            onProgress(received, total);
+        }
+        
+        const bytes = new Uint8Array(received);
+        let position = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, position);
+            position += chunk.byteLength;
         });
+        return bytes.buffer;
+    }
+    
+    /**
+     * Keep fetched files in IndexedDB, so later visits load them without the
+     * network. Entries are keyed by URL and replaced when the version changes.
+     * @param {Object} options - Cache options
+     * @param {string} [options.name='audiomark-cache'] - Database name
+     * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation (default: the global one)
+     * @returns {boolean} true if the cache was enabled
+     */
+    enableCache(options = {}) {
+        const {
+            name = 'audiomark-cache',
+            indexedDB = typeof globalThis.indexedDB !== 'undefined' ? globalThis.indexedDB : null
+        } = options;
         
-        // Fade out current music
-        if (currentSource) {
-            this.fadeOut(currentSource, transitionTime);
+        if (!indexedDB) {
+            this._reportError(new AudioMarkError('IndexedDB is not available for the audio cache.', 'CACHE_UNAVAILABLE'));
+            return false;
         }
         
+        this.cache = new AudioCache(indexedDB, name);
         return true;
     }
     
     /**
-     * Clean up all resources
+     * Stop using the persistent cache. Cached files are kept; see clearCache().
      */
-    cleanup() {
-        this.stopAll();
+    disableCache() {
+        if (this.cache) {
+            this.cache.close();
+            this.cache = null;
+        }
+    }
+    
+    /**
+     * Delete every file in the persistent cache
+     * @returns {Promise<boolean>} true if the cache was cleared
+     */
+    async clearCache() {
+        if (!this.cache) return false;
         
-        if (this.audioContext) {
-            this.audioContext.close();
-            this.audioContext = null;
+        try {
+            await this.cache.clear();
+            return true;
+        } catch (error) {
+            this._reportError(new AudioMarkError(`Failed to clear the audio cache: ${error.message}`, 'CACHE_FAILED', { cause: error }));
+            return false;
+        }
+    }
+    
+    /**
+     * Report what the persistent cache holds, and the storage quota
+     * @returns {Promise<Object|null>} { entries, bytes, usage, quota }, or null if the cache is off.
+     *     usage and quota cover all of this origin's storage, and are null if unknown.
+     */
+    async getCacheUsage() {
+        if (!this.cache) return null;
+        
+        let info;
+        try {
+            info = await this.cache.getUsage();
+        } catch (error) {
+            this._reportError(new AudioMarkError(`Failed to read the audio cache: ${error.message}`, 'CACHE_FAILED', { cause: error }));
+            return null;
         }
         
-        this.audioBuffers.clear();
-        this.activeSources.clear();
-        this.activeMusicSources.clear();
-        this.currentMusic = null;
-        this.isInitialized = false;
+        let usage = null;
+        let quota = null;
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            ({ usage = null, quota = null } = await navigator.storage.estimate().catch(() => ({})));
+        }
+        
+        return { ...info, usage, quota };
     }
     
     /**
-     * Get current state information
+     * Load a manifest of assets with limited concurrency, progress and retries
+     * @param {Object} manifest - Map of { name: url | { url, type, group, sprite, tempo, ... } }
+     * @param {Object} options - Loading options
+     * @param {number} [options.concurrency=4] - Maximum simultaneous requests
+     * @param {number} [options.retries=2] - Retries per asset after a failed fetch
+     * @param {number} [options.retryDelay=500] - First retry delay in ms, doubled on each retry
+     * @param {AbortSignal} [options.signal] - Signal to cancel loading
+     * @param {Function} [options.onProgress] - Called with progress information
+     * @returns {Promise<Object>} Per-asset result report
      */
-    getState() {
-        return {
-            isInitialized: this.isInitialized,
-            audioContextState: this.audioContext ? this.audioContext.state : 'none',
-            loadedAudio: Array.from(this.audioBuffers.keys()),
-            activeSources: this.activeSources.size,
-            activeMusicSources: this.activeMusicSources.size,
-            currentMusic: this.currentMusic ? this.currentMusic.name : null,
-            isMusicPaused: this.isMusicPaused,
-            volumes: { ...this.volumes }
+    async loadManifest(manifest, options = {}) {
+        const {
+            concurrency = 4,
+            retries = 2,
+            retryDelay = 500,
+            signal = null,
+            onProgress = null
+        } = options;
+        
+        const entries = Object.entries(manifest).map(([name, entry]) => {
+            const plain = typeof entry === 'string' || Array.isArray(entry);
+            const { url, type = null, ...loadOptions } = plain ? { url: entry } : entry;
+            return { name, url, type, loadOptions };
+        });
+        
+        const report = {
+            loaded: [],
+            failed: [],
+            cancelled: [],
+            results: {}
         };
+        
+        if (!this.isInitialized) {
+            const error = new NotInitializedError();
+            entries.forEach(({ name }) => {
+                report.failed.push(name);
+                report.results[name] = { status: 'failed', attempts: 0, error };
+            });
+            
+            // As for failed assets, the report carries the error, so it is never thrown from here
+            if (this.errorMode === 'event') {
+                this._reportError(error);
+            }
+            return report;
+        }
+        
+        const progress = {
+            loaded: 0,
+            total: entries.length,
+            bytesLoaded: 0,
+            bytesTotal: 0,
+            name: null
+        };
+        const assetBytes = new Map();
+        
+        const reportProgress = name => {
+            progress.name = name;
+            progress.bytesLoaded = 0;
+            progress.bytesTotal = 0;
+            assetBytes.forEach(({ loaded, total }) => {
+                progress.bytesLoaded += loaded;
+                progress.bytesTotal += total;
+            });
+            
+            const snapshot = { ...progress };
+            if (onProgress) onProgress(snapshot);
+            this._emit('progress', snapshot);
+        };
+        
+        const loadEntry = async ({ name, url, type, loadOptions }) => {
+            let attempts = 0;
+            
+            for (;;) {
+                if (signal && signal.aborted) {
+                    report.cancelled.push(name);
+                    report.results[name] = { status: 'cancelled', attempts };
+                    return;
+                }
+                
+                attempts++;
+                try {
+                    await this._loadAudio(name, url, {
+                        ...loadOptions,
+                        signal,
+                        onProgress: (loaded, total) => {
+                            assetBytes.set(name, { loaded, total: Math.max(total, loaded) });
+                            reportProgress(name);
+                        }
+                    });
+                    
+                    this.assetInfo.set(name, { url, type, group: loadOptions.group || null });
+                    report.loaded.push(name);
+                    report.results[name] = { status: 'loaded', attempts };
+                    break;
+                } catch (error) {
+                    if (error.code === 'ABORTED') {
+                        report.cancelled.push(name);
+                        report.results[name] = { status: 'cancelled', attempts };
+                        return;
+                    }
+                    
+                    if (attempts > retries || !isRetryableLoadError(error)) {
+                        const loadError = this._toLoadError(name, error);
+                        report.failed.push(name);
+                        report.results[name] = { status: 'failed', attempts, error: loadError };
+                        
+                        // The report carries the error, so it is never thrown from here
+                        if (this.errorMode === 'event') {
+                            this._reportError(loadError);
+                        }
+                        break;
+                    }
+                    
+                    await wait(retryDelay * Math.pow(2, attempts - 1), signal);
+                }
+            }
+            
+            progress.loaded++;
+            reportProgress(name);
+        };
+        
+        // A fixed number of workers pull assets from a shared queue
+        const queue = entries.slice();
+        const worker = async () => {
+            while (queue.length > 0) {
+                await loadEntry(queue.shift());
+            }
+        };
+        
+        const workers = [];
+        for (let i = 0; i < Math.max(1, Math.min(concurrency, entries.length)); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+        
+        return report;
+    }
+    
+    /**
+     * Unload every asset in a group
+     * @param {string} group - Group name
+     * @returns {number} Number of assets unloaded
+     */
+    unloadGroup(group) {
+        const names = this.audioGroups.get(group);
+        if (!names) return 0;
+        
+        let unloaded = 0;
+        Array.from(names).forEach(name => {
+            if (this.unloadAudio(name)) unloaded++;
+        });
+        this.audioGroups.delete(group);
+        return unloaded;
+    }
+    
+    /**
+     * Get the names of the assets in a group
+     * @param {string} group - Group name
+     */
+    getGroup(group) {
+        const names = this.audioGroups.get(group);
+        return names ? Array.from(names) : [];
+    }
+    
+    /**
+     * Get what a manifest said about an asset it loaded
+     * @param {string} name - Identifier for the audio
+     * @returns {Object|null} { url, type, group }, or null if the audio was not loaded by loadManifest()
+     */
+    getAssetInfo(name) {
+        const info = this.assetInfo.get(name);
+        return info ? { ...info } : null;
+    }
+    
+    /**
+     * Register audio to be loaded later, on first play or by loadAudio(name)
+     * @param {string} name - Identifier for the audio
+     * @param {string|string[]|ArrayBuffer|Blob|Response} source - Any source accepted by loadAudio()
+     * @param {Object} options - loadAudio() options, plus:
+     * @param {number} [options.latencyTolerance=0.25] - Longest delay in seconds a play
+     *     may wait for loading; plays that would wait longer are skipped and emit 'skip'
+     */
+    registerAudio(name, source, options = {}) {
+        const { latencyTolerance = LATENCY_TOLERANCE, ...loadOptions } = options;
+        this.registeredAudio.set(name, { source, options: loadOptions, latencyTolerance });
+    }
+    
+    /**
+     * Forget a lazily registered audio source (loaded audio stays loaded)
+     * @param {string} name - Identifier for the audio
+     */
+    unregisterAudio(name) {
+        return this.registeredAudio.delete(name);
+    }
+    
+    /**
+     * Check whether audio is decoded and ready to play
+     * @param {string} name - Identifier for the audio (or "sprite:region")
+     */
+    isLoaded(name) {
+        return this._resolveAudio(name) !== null;
+    }
+    
+    /**
+     * If a play names audio that is registered or still loading, load it and
+     * replay the call once loaded, unless that took longer than the tolerance
+     * @private
+     * @param {string} name - Name the play is reported under
+     * @param {number} [latencyTolerance] - Overrides the registered tolerance
+     * @param {Function} replay - Repeats the play
+     * @param {string[]} [audioNames] - Audio the play needs (default: just name)
+     * @returns {boolean} true if the play was deferred (or skipped)
+     */
+    _deferUntilLoaded(name, latencyTolerance, replay, audioNames = [name]) {
+        if (!this.isInitialized) return false;
+        
+        const missing = audioNames.filter(audio => !this._resolveAudio(audio));
+        if (missing.length === 0 || !missing.every(audio => this._canLoadOnDemand(audio))) return false;
+        
+        const tolerance = latencyTolerance !== undefined ? latencyTolerance : Math.min(...missing.map(audio => {
+            const registration = this.registeredAudio.get(this._getAssetName(audio));
+            return registration ? registration.latencyTolerance : LATENCY_TOLERANCE;
+        }));
+        const requestedAt = Date.now();
+        
+        Promise.all(missing.map(audio => this._loadOnDemand(audio))).then(results => {
+            if (!results.every(Boolean) || !missing.every(audio => this._resolveAudio(audio))) return;
+            
+            const waited = (Date.now() - requestedAt) / 1000;
+            if (waited <= tolerance) {
+                replay();
+            } else {
+                this._emit('skip', { name, waited });
+            }
+        }).catch(error => this._reportAsyncError(error));
+        return true;
+    }
+    
+    /**
+     * Whether audio that is not loaded is registered or already loading
+     * @private
+     */
+    _canLoadOnDemand(name) {
+        const baseName = this._getAssetName(name);
+        return this.pendingLoads.has(baseName) || this.registeredAudio.has(baseName);
+    }
+    
+    /**
+     * Wait for a load already under way, or load registered audio
+     * @private
+     * @returns {Promise<boolean>|null} Whether it loaded, or null if it cannot be loaded on demand.
+     *     A failure is reported by the load that started it.
+     */
+    _loadOnDemand(name) {
+        const baseName = this._getAssetName(name);
+        if (this.pendingLoads.has(baseName)) {
+            return this.pendingLoads.get(baseName).then(() => true, () => false);
+        }
+        if (this.registeredAudio.has(baseName)) {
+            return this.loadAudio(baseName);
+        }
+        return null;
+    }
+    
+    /**
+     * Get the name of the loaded asset that holds a sound
+     * @private
+     */
+    _getAssetName(name) {
+        // Sprite regions ("sprite:region") live in their sprite's buffer
+        const separator = name.indexOf(':');
+        if (separator === -1 || this.audioBuffers.has(name) || this.registeredAudio.has(name)) {
+            return name;
+        }
+        return name.slice(0, separator);
+    }
+    
+    /**
+     * Set the memory budget for decoded audio, evicting buffers if it is exceeded
+     * @param {number} bytes - Budget in bytes (Infinity for no limit)
+     */
+    setMemoryBudget(bytes) {
+        this.memoryBudget = Math.max(0, bytes);
+        this._enforceMemoryBudget();
+    }
+    
+    /**
+     * Pin audio so the memory budget never evicts it
+     * @param {string} name - Identifier for the audio
+     * @param {boolean} pinned - Whether the audio is pinned
+     */
+    pinAudio(name, pinned = true) {
+        if (pinned) {
+            this.pinnedAudio.add(name);
+        } else {
+            this.pinnedAudio.delete(name);
+            this._enforceMemoryBudget();
+        }
+    }
+    
+    /**
+     * Get the decoded size of the loaded audio
+     * @returns {Object} { total, budget, assets: { name: bytes } }
+     */
+    getMemoryUsage() {
+        const assets = {};
+        let total = 0;
+        this.bufferUsage.forEach((usage, name) => {
+            assets[name] = usage.bytes;
+            total += usage.bytes;
+        });
+        return { total, budget: this.memoryBudget, assets };
+    }
+    
+    /**
+     * Mark the asset holding a sound as just used
+     * @private
+     */
+    _touchAudio(name) {
+        const usage = this.bufferUsage.get(this._getAssetName(name));
+        if (usage) {
+            usage.lastUsed = ++this.useCounter;
+        }
+    }
+    
+    /**
+     * Evict least recently used buffers until decoded audio fits the budget.
+     * Pinned and playing audio is kept; evicted audio is registered again so
+     * its next play fetches it.
+     * @private
+     * @param {string} keep - Asset that must stay, such as the one just loaded
+     */
+    _enforceMemoryBudget(keep = null) {
+        let total = this.getMemoryUsage().total;
+        if (total <= this.memoryBudget) return;
+        
+        const playing = new Set([keep]);
+        this.activePlaybacks.forEach(playback => playing.add(this._getAssetName(playback.name)));
+        
+        // The queue's current and next tracks are needed soon, even before they are scheduled
+        if (this.playlist) {
+            const { tracks, order, position } = this.playlist;
+            [tracks[order[position]], this._getUpcomingPlaylistTrack()]
+                .filter(Boolean)
+                .forEach(name => playing.add(this._getAssetName(name)));
+        }
+        
+        const candidates = Array.from(this.bufferUsage.entries())
+            .filter(([name, usage]) => usage.source !== null && !this.pinnedAudio.has(name) && !playing.has(name))
+            .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+        
+        for (const [name, usage] of candidates) {
+            if (total <= this.memoryBudget) break;
+            
+            this._releaseAudio(name);
+            total -= usage.bytes;
+            
+            if (!this.registeredAudio.has(name)) {
+                this.registerAudio(name, usage.source, usage.options);
+            }
+            this._emit('evict', { name, bytes: usage.bytes });
+        }
+    }
+    
+    /**
+     * Load an audio sprite: one file holding several named regions.
+     * Regions are played as "spriteName:regionName".
+     * @param {string} name - Identifier for the sprite
+     * @param {string|string[]|ArrayBuffer|Blob|Response} source - Any source accepted by loadAudio()
+     * @param {Object} spriteMap - Map of { region: [startSec, durationSec, loop?] }
+     */
+    async loadSprite(name, source, spriteMap) {
+        return this.loadAudio(name, source, { sprite: spriteMap });
+    }
+    
+    /**
+     * Convert a sprite map into region objects, clamped to the buffer
+     * @private
+     */
+    _parseSprite(spriteMap, audioBuffer) {
+        const regions = {};
+        
+        Object.entries(spriteMap).forEach(([region, [start, duration, loop = false]]) => {
+            const regionStart = Math.max(0, Math.min(start, audioBuffer.duration));
+            regions[region] = {
+                start: regionStart,
+                duration: Math.max(0, Math.min(duration, audioBuffer.duration - regionStart)),
+                loop: Boolean(loop)
+            };
+        });
+        
+        return regions;
+    }
+    
+    /**
+     * Generate a sound effect and store it under a name, like loaded audio
+     * @param {string} name - Identifier for the sound
+     * @param {string|Object} params - Preset name, or synth parameters with an
+     *     optional preset to start from, e.g. { preset: 'jump', frequency: 200 }
+     * @param {Object} options - Same group and voice options as loadAudio()
+     * @returns {boolean} Whether the sound was generated
+     */
+    synthesize(name, params = {}, options = {}) {
+        if (!this.isInitialized) {
+            this._reportError(new NotInitializedError());
+            return false;
+        }
+        
+        const resolved = this._resolveSynthParams(params);
+        if (!resolved) return false;
+        
+        const { sampleRate } = this.audioContext;
+        const samples = renderSynth(resolved, sampleRate);
+        const audioBuffer = this.audioContext.createBuffer(1, samples.length, sampleRate);
+        audioBuffer.copyToChannel(samples, 0);
+        
+        this._releaseAudio(name);
+        this.audioBuffers.set(name, audioBuffer);
+        
+        // There is no source to read again, so synthesized audio is never evicted
+        this.bufferUsage.set(name, {
+            bytes: getBufferBytes(audioBuffer),
+            lastUsed: ++this.useCounter,
+            source: null,
+            options: {}
+        });
+        
+        this._storeMetadata(name, options);
+        return true;
+    }
+    
+    /**
+     * Make a random variation of synth parameters
+     * @param {string|Object} params - Preset name or synth parameters to vary
+     * @param {Object} options - Mutation options
+     * @param {number} [options.amount=0.2] - Largest change, as a fraction of each value
+     * @param {number} [options.seed] - Seed for a repeatable variation (default: random)
+     * @returns {Object|null} Complete synth parameters for synthesize()
+     */
+    mutateSynth(params, options = {}) {
+        const {
+            amount = 0.2,
+            seed = Math.floor(Math.random() * 0x100000000)
+        } = options;
+        
+        const base = this._resolveSynthParams(params);
+        if (!base) return null;
+        
+        const random = createRandom(seed);
+        const mutated = { ...base };
+        SYNTH_MUTABLE.forEach(param => {
+            mutated[param] = base[param] * (1 + (random() * 2 - 1) * amount);
+        });
+        ['duty', 'noise', 'sustain'].forEach(param => {
+            mutated[param] = Math.max(0, Math.min(1, mutated[param]));
+        });
+        mutated.seed = Math.floor(random() * 0x100000000);
+        
+        return mutated;
+    }
+    
+    /**
+     * Get the names of the built-in synth presets
+     */
+    getSynthPresets() {
+        return Object.keys(SYNTH_PRESETS);
+    }
+    
+    /**
+     * Expand a preset name or partial parameters into complete synth
+     * parameters, or report why they are invalid
+     * @private
+     */
+    _resolveSynthParams(params) {
+        const { preset, ...overrides } = typeof params === 'string' ? { preset: params } : params;
+        
+        if (preset !== undefined && !Object.keys(SYNTH_PRESETS).includes(preset)) {
+            this._reportError(new InvalidArgumentError(`Unknown synth preset "${preset}".`));
+            return null;
+        }
+        
+        const resolved = { ...SYNTH_DEFAULTS, ...SYNTH_PRESETS[preset], ...overrides };
+        if (!SYNTH_WAVES.includes(resolved.wave)) {
+            this._reportError(new InvalidArgumentError(`Unknown synth wave "${resolved.wave}".`));
+            return null;
+        }
+        return resolved;
+    }
+    
+    /**
+     * Look up the buffer (and sprite region, if any) for a play name
+     * @private
+     */
+    _resolveAudio(name) {
+        if (this.audioStreams.has(name)) {
+            return { buffer: null, region: null, stream: this.audioStreams.get(name) };
+        }
+        
+        if (this.audioBuffers.has(name)) {
+            return { buffer: this.audioBuffers.get(name), region: null };
+        }
+        
+        // "spriteName:regionName" plays a region of a sprite buffer
+        const separator = name.indexOf(':');
+        if (separator === -1) return null;
+        
+        const spriteName = name.slice(0, separator);
+        const regionName = name.slice(separator + 1);
+        const sprite = this.audioSprites.get(spriteName);
+        
+        if (!sprite || !sprite[regionName] || !this.audioBuffers.has(spriteName)) {
+            return null;
+        }
+        
+        return { buffer: this.audioBuffers.get(spriteName), region: sprite[regionName] };
+    }
+    
+    /**
+     * Unload audio file
+     * @param {string} name - Identifier for the audio to unload
+     */
+    unloadAudio(name) {
+        if (this.audioBuffers.has(name) || this.audioStreams.has(name)) {
+            this._releaseAudio(name);
+            this.assetInfo.delete(name);
+            this.audioGroups.forEach(names => names.delete(name));
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Set the global SFX voice cap
+     * @param {number} maxVoices - Maximum simultaneous SFX voices (Infinity for no limit)
+     * @param {string} policy - 'oldest', 'quietest', 'reject' or 'priority'
+     * @returns {boolean} true if the cap was set
+     */
+    setMaxVoices(maxVoices, policy = this.voicePolicy) {
+        if (!VOICE_POLICIES.includes(policy)) {
+            this._reportError(new InvalidArgumentError(`Unknown voice policy "${policy}".`));
+            return false;
+        }
+        
+        this.maxVoices = Math.max(1, maxVoices);
+        this.voicePolicy = policy;
+        return true;
+    }
+    
+    /**
+     * Set per-sound voice limiting options
+     * @param {string} name - Identifier for the audio (or "sprite:region")
+     * @param {Object} options - { maxInstances, voicePolicy }
+     * @returns {boolean} true if the options were set
+     */
+    setSoundOptions(name, options = {}) {
+        if (options.voicePolicy !== undefined && !VOICE_POLICIES.includes(options.voicePolicy)) {
+            this._reportError(new InvalidArgumentError(`Unknown voice policy "${options.voicePolicy}".`));
+            return false;
+        }
+        
+        const current = this.soundOptions.get(name) || {};
+        const updated = { ...current };
+        
+        if (options.maxInstances !== undefined) {
+            updated.maxInstances = Math.max(1, options.maxInstances);
+        }
+        if (options.voicePolicy !== undefined) {
+            updated.voicePolicy = options.voicePolicy;
+        }
+        
+        this.soundOptions.set(name, updated);
+        return true;
+    }
+    
+    /**
+     * Get voice limiting options for a play name, falling back to the sprite's
+     * @private
+     */
+    _getSoundOptions(name) {
+        if (this.soundOptions.has(name)) {
+            return this.soundOptions.get(name);
+        }
+        
+        const separator = name.indexOf(':');
+        if (separator !== -1 && this.soundOptions.has(name.slice(0, separator))) {
+            return this.soundOptions.get(name.slice(0, separator));
+        }
+        
+        return {};
+    }
+    
+    /**
+     * Make room for a new SFX voice, stealing one if a cap is reached
+     * @private
+     * @returns {boolean} false if the new voice should be rejected
+     */
+    _allocateVoice(name, priority) {
+        const { maxInstances, voicePolicy } = this._getSoundOptions(name);
+        
+        // Per-sound cap
+        if (maxInstances !== undefined) {
+            let instances = Array.from(this.voices).filter(voice => voice.name === name);
+            while (instances.length >= maxInstances) {
+                if (!this._stealVoice(instances, voicePolicy || this.voicePolicy, priority)) {
+                    this.voiceStats.rejected++;
+                    return false;
+                }
+                instances = Array.from(this.voices).filter(voice => voice.name === name);
+            }
+        }
+        
+        // Global cap
+        while (this.voices.size >= this.maxVoices) {
+            if (!this._stealVoice(Array.from(this.voices), this.voicePolicy, priority)) {
+                this.voiceStats.rejected++;
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Stop one of the candidate voices according to the policy
+     * @private
+     * @returns {boolean} true if a voice was stolen
+     */
+    _stealVoice(candidates, policy, priority) {
+        let victim = null;
+        
+        switch (policy) {
+            case 'oldest':
+                victim = candidates.reduce((a, b) => (b.startTime < a.startTime ? b : a));
+                break;
+            case 'quietest':
+                victim = candidates.reduce((a, b) => (b.volume < a.volume ? b : a));
+                break;
+            case 'priority':
+                // Lowest priority first, oldest first among equals
+                victim = candidates.reduce((a, b) => {
+                    if (b.priority !== a.priority) return b.priority < a.priority ? b : a;
+                    return b.startTime < a.startTime ? b : a;
+                });
+                if (victim.priority > priority) {
+                    victim = null;
+                }
+                break;
+            case 'reject':
+            default:
+                victim = null;
+        }
+        
+        if (!victim) return false;
+        
+        // Short fade to avoid a click when cutting the voice off
+        victim.stop(0.01);
+        this.voices.delete(victim);
+        this.voiceStats.stolen++;
+        return true;
+    }
+    
+    /**
+     * Play sound effect (SFX) - short, low-latency
+     * @param {string} name - Identifier for the SFX
+     * @param {Object} options - Playback options
+     * @returns {Playback|null}
+     */
+    playSFX(name, options = {}) {
+        const {
+            loop,
+            volume = 1.0,
+            fadeIn = 0,
+            loopStart = 0,
+            loopEnd = null,
+            priority = 0,
+            bus = 'sfx',
+            category = null,
+            effects = [],
+            position = null,
+            pan = null,
+            panningModel = 'HRTF',
+            distanceModel = 'inverse',
+            refDistance = 1,
+            maxDistance = 10000,
+            rolloff = 1,
+            latencyTolerance
+        } = options;
+        
+        // Registered but not loaded yet: load now and play once ready
+        if (this._deferUntilLoaded(name, latencyTolerance, () => this.playSFX(name, options))) {
+            return null;
+        }
+        
+        const output = this._getBusOutput(bus);
+        if (!output) return null;
+        
+        return this._playAudio(name, output, {
+            loop,
+            loopStart,
+            loopEnd,
+            volume,
+            fadeIn,
+            priority,
+            effects,
+            spatial: { position, pan, panningModel, distanceModel, refDistance, maxDistance, rolloff },
+            bus,
+            category,
+            type: 'sfx'
+        });
+    }
+    
+    /**
+     * Play music with full controls
+     * @param {string} name - Identifier for the music
+     * @param {Object} options - Playback options
+     * @returns {Playback|null}
+     */
+    playMusic(name, options = {}) {
+        const {
+            loop = true,
+            loopStart = 0,
+            loopEnd = null,
+            intro = null,
+            volume = 1.0,
+            fadeIn = 0,
+            stopCurrent = true,
+            bus = 'music',
+            category = null,
+            effects = [],
+            pan = null,
+            when = 0,
+            latencyTolerance
+        } = options;
+        
+        // Registered but not loaded yet: load now and play once ready
+        if (this._deferUntilLoaded(name, latencyTolerance, () => this.playMusic(name, options))) {
+            return null;
+        }
+        
+        const output = this._getBusOutput(bus);
+        if (!output) return null;
+        
+        // Stop current music if requested
+        if (stopCurrent && this.currentMusic) {
+            this.stopMusic();
+        }
+        
+        // An intro plays once, then hands off to the track on the audio clock
+        let introPlayback = null;
+        if (intro) {
+            introPlayback = this._playAudio(intro, output, {
+                loop: false,
+                volume,
+                fadeIn,
+                effects,
+                spatial: { pan },
+                when,
+                bus,
+                category,
+                type: 'music'
+            });
+            if (!introPlayback) return null;
+            this.activeMusicPlaybacks.add(introPlayback);
+        }
+        
+        const playback = this._playAudio(name, output, {
+            loop,
+            loopStart,
+            loopEnd,
+            volume,
+            fadeIn: introPlayback ? 0 : fadeIn,
+            effects,
+            spatial: { pan },
+            when: introPlayback ? introPlayback.endTime : when,
+            bus,
+            category,
+            type: 'music'
+        });
+        
+        if (playback) {
+            this._setCurrentMusic({
+                playback,
+                name,
+                loop,
+                intro: introPlayback,
+                layers: null
+            });
+            this.isMusicPaused = false;
+            this.activeMusicPlaybacks.add(playback);
+        } else if (introPlayback) {
+            introPlayback.stop();
+        }
+        
+        return playback;
+    }
+    
+    /**
+     * Play music made of synchronised stems (vertical layering)
+     * @param {string} name - Identifier for the layered piece
+     * @param {Object} stems - Map of { stem: audioName | { audio, volume, threshold } }
+     * @param {Object} options - Playback options
+     * @returns {Object|null} Map of { stem: Playback }
+     */
+    playMusicLayers(name, stems, options = {}) {
+        const {
+            loop = true,
+            fadeIn = 0,
+            intensity = 1,
+            stopCurrent = true,
+            bus = 'music',
+            latencyTolerance
+        } = options;
+        
+        if (!this.isInitialized) {
+            this._reportError(new NotInitializedError());
+            return null;
+        }
+        
+        const output = this._getBusOutput(bus);
+        if (!output) return null;
+        
+        // Normalise stem definitions and check everything is loaded before starting
+        const definitions = Object.entries(stems).map(([stem, definition]) => {
+            const { audio, volume = 1.0, threshold = 0 } =
+                typeof definition === 'string' ? { audio: definition } : definition;
+            return { stem, audio, volume, threshold };
+        });
+        
+        // Stems that are registered or still loading: load them and start together once ready
+        const audioNames = definitions.map(definition => definition.audio);
+        if (this._deferUntilLoaded(name, latencyTolerance, () => this.playMusicLayers(name, stems, options), audioNames)) {
+            return null;
+        }
+        
+        const missing = definitions.find(definition => !this._resolveAudio(definition.audio));
+        if (missing) {
+            this._reportError(new AudioNotLoadedError(missing.audio, `Audio "${missing.audio}" for layer "${missing.stem}" not loaded.`));
+            return null;
+        }
+        
+        if (stopCurrent && this.currentMusic) {
+            this.stopMusic();
+        }
+        
+        // Every stem is started at the same audio clock time so they stay aligned
+        const when = this.audioContext.currentTime;
+        const layers = new Map();
+        const level = Math.max(0, Math.min(1, intensity));
+        
+        definitions.forEach(({ stem, audio, volume, threshold }) => {
+            const playback = this._playAudio(audio, output, {
+                loop,
+                volume: level >= threshold ? volume : 0,
+                fadeIn,
+                when,
+                bus,
+                type: 'music'
+            });
+            
+            if (playback) {
+                layers.set(stem, { playback, volume, threshold });
+                this.activeMusicPlaybacks.add(playback);
+            }
+        });
+        
+        if (layers.size === 0) return null;
+        
+        // The longest stem decides when the piece has finished
+        const primary = Array.from(layers.values())
+            .reduce((a, b) => (b.playback.duration > a.playback.duration ? b : a));
+        
+        this._setCurrentMusic({
+            playback: primary.playback,
+            name,
+            loop,
+            layers,
+            intensity: level
+        });
+        this.isMusicPaused = false;
+        
+        const result = {};
+        layers.forEach((layer, stem) => {
+            result[stem] = layer.playback;
+        });
+        return result;
+    }
+    
+    /**
+     * Set the intensity of layered music; stems whose threshold is above the
+     * intensity fade out, the others fade in to their own volume
+     * @param {number} intensity - Intensity from 0 to 1
+     * @param {number} rampSec - Fade duration in seconds
+     */
+    setMusicIntensity(intensity, rampSec = 1.0) {
+        if (!this.currentMusic || !this.currentMusic.layers) return false;
+        
+        const level = Math.max(0, Math.min(1, intensity));
+        this.currentMusic.intensity = level;
+        this.currentMusic.layers.forEach(layer => {
+            layer.playback.setVolume(level >= layer.threshold ? layer.volume : 0, rampSec);
+        });
+        return true;
+    }
+    
+    /**
+     * Set the volume of one stem of layered music
+     * @param {string} stem - Stem name
+     * @param {number} volume - Volume multiplier 0.0-1.0
+     * @param {number} rampSec - Fade duration in seconds
+     */
+    setLayerVolume(stem, volume, rampSec = 0) {
+        const layer = this.currentMusic && this.currentMusic.layers ? this.currentMusic.layers.get(stem) : null;
+        if (!layer) return false;
+        
+        layer.volume = volume;
+        if (this.currentMusic.intensity >= layer.threshold) {
+            layer.playback.setVolume(volume, rampSec);
+        }
+        return true;
+    }
+    
+    /**
+     * Queue a list of music tracks, played one after another without gaps
+     * @param {string[]} names - Identifiers of the tracks
+     * @param {Object} options - Queue options
+     * @param {boolean} [options.shuffle=false] - Play the tracks in random order
+     * @param {string} [options.repeat='none'] - 'none', 'one' or 'all'
+     * @param {number} [options.crossfade=0] - Crossfade between tracks in seconds
+     * @param {Function} [options.onTrackChange] - Called with { name, index, startTime } for each track
+     */
+    queueMusic(names, options = {}) {
+        const {
+            shuffle = false,
+            repeat = 'none',
+            crossfade = 0,
+            volume = 1.0,
+            bus = 'music',
+            onTrackChange = null
+        } = options;
+        
+        if (!this.isInitialized) {
+            this._reportError(new NotInitializedError());
+            return false;
+        }
+        
+        if (!names || names.length === 0) {
+            this._reportError(new InvalidArgumentError('Music queue is empty.'));
+            return false;
+        }
+        
+        if (!['none', 'one', 'all'].includes(repeat)) {
+            this._reportError(new InvalidArgumentError(`Unknown queue repeat mode "${repeat}".`));
+            return false;
+        }
+        
+        // Registered tracks, or ones still loading, are loaded when the queue reaches them
+        const missing = names.find(name => !this._resolveAudio(name) && !this._canLoadOnDemand(name));
+        if (missing) {
+            this._reportError(new AudioNotLoadedError(missing, `Music track "${missing}" not loaded.`));
+            return false;
+        }
+        
+        this.stopMusic();
+        
+        this.playlist = {
+            tracks: names.slice(),
+            order: shuffle ? shuffleOrder(names.length) : names.map((name, index) => index),
+            position: 0,
+            repeat,
+            shuffle,
+            crossfade: Math.max(0, crossfade),
+            volume,
+            bus,
+            onTrackChange,
+            timer: null,
+            pending: null,
+            rate: 1.0
+        };
+        
+        if (!this._resolveAudio(names[this.playlist.order[0]])) {
+            this._whenPlaylistTrackLoaded(0, () => {
+                if (!this._playPlaylistTrack(0, 0, 0)) this._clearPlaylist();
+            });
+            return true;
+        }
+        
+        if (this._playPlaylistTrack(0, 0, 0)) return true;
+        this._clearPlaylist();
+        return false;
+    }
+    
+    /**
+     * Skip to the next track in the music queue
+     */
+    next() {
+        if (!this.playlist) return false;
+        
+        const position = this._getPlaylistPosition(1);
+        if (position === null) return false;
+        
+        this._switchPlaylistTrack(position);
+        return true;
+    }
+    
+    /**
+     * Go back to the previous track in the music queue
+     */
+    previous() {
+        if (!this.playlist) return false;
+        
+        // At the start of the queue without repeat, restart the first track
+        const position = this._getPlaylistPosition(-1);
+        this._switchPlaylistTrack(position === null ? 0 : position);
+        return true;
+    }
+    
+    /**
+     * Position in the queue order after moving by step, or null past either end
+     * @private
+     */
+    _getPlaylistPosition(step) {
+        const { order, position, repeat } = this.playlist;
+        const target = position + step;
+        
+        if (target >= 0 && target < order.length) return target;
+        if (repeat !== 'all') return null;
+        
+        // Reshuffle when wrapping around a shuffled queue
+        if (this.playlist.shuffle && target >= order.length) {
+            this.playlist.order = shuffleOrder(order.length);
+        }
+        return (target + order.length) % order.length;
+    }
+    
+    /**
+     * Switch to a queue position now, crossfading from the current track
+     * @private
+     */
+    _switchPlaylistTrack(position) {
+        const { crossfade } = this.playlist;
+        
+        // Includes a track that is still finishing while the next one is scheduled
+        const previous = Array.from(this.activeMusicPlaybacks);
+        
+        this._cancelPlaylistAdvance();
+        this._playPlaylistTrack(position, 0, crossfade);
+        previous.forEach(playback => playback.stop(crossfade));
+    }
+    
+    /**
+     * Start the track at a queue position and make it the current music
+     * @private
+     */
+    _playPlaylistTrack(position, when, fadeIn) {
+        const playback = this._startPlaylistTrack(position, when, fadeIn);
+        if (playback) {
+            this._setPlaylistTrack(position, playback);
+        }
+        return playback;
+    }
+    
+    /**
+     * Start the track at a queue position on the audio clock, without making it current
+     * @private
+     */
+    _startPlaylistTrack(position, when, fadeIn) {
+        const playlist = this.playlist;
+        const name = playlist.tracks[playlist.order[position]];
+        
+        const output = this._getBusOutput(playlist.bus);
+        if (!output) return null;
+        
+        const playback = this._playAudio(name, output, {
+            loop: playlist.repeat === 'one',
+            volume: playlist.volume,
+            fadeIn,
+            when,
+            rate: playlist.rate,
+            bus: playlist.bus,
+            type: 'music'
+        });
+        
+        if (playback) {
+            this.activeMusicPlaybacks.add(playback);
+        }
+        return playback;
+    }
+    
+    /**
+     * Make a started queue track the current music and schedule the one after it
+     * @private
+     */
+    _setPlaylistTrack(position, playback) {
+        const playlist = this.playlist;
+        const index = playlist.order[position];
+        const name = playlist.tracks[index];
+        
+        playlist.position = position;
+        playlist.pending = null;
+        this._setCurrentMusic({
+            playback,
+            name,
+            loop: playback.loop,
+            intro: null,
+            layers: null
+        });
+        this.isMusicPaused = false;
+        this._schedulePlaylistAdvance();
+        this._prefetchPlaylistTrack();
+        
+        if (playlist.onTrackChange) {
+            playlist.onTrackChange({ name, index, startTime: playback.startTime });
+        }
+    }
+    
+    /**
+     * Arm a timer that schedules the next queued track shortly before the current one ends
+     * @private
+     */
+    _schedulePlaylistAdvance() {
+        const playlist = this.playlist;
+        if (!playlist || !this.currentMusic || playlist.repeat === 'one' || playlist.pending) return;
+        
+        this._cancelPlaylistAdvance();
+        
+        const playback = this.currentMusic.playback;
+        const advanceAt = playback.endTime - playlist.crossfade;
+        const delay = advanceAt - this.audioContext.currentTime - PLAYLIST_LOOKAHEAD;
+        
+        playlist.timer = setTimeout(() => {
+            playlist.timer = null;
+            this._guardPlaylist(() => this._advancePlaylist(playback));
+        }, Math.max(0, delay) * 1000);
+    }
+    
+    /**
+     * Run a queue step from a timer or callback, ending the queue if it fails
+     * @private
+     */
+    _guardPlaylist(step) {
+        try {
+            step();
+        } catch (error) {
+            this._clearPlaylist();
+            this._reportAsyncError(error);
+        }
+    }
+    
+    /**
+     * Run a queue step once the track at a position is loaded, loading it on demand
+     * @private
+     */
+    _whenPlaylistTrackLoaded(position, step) {
+        const playlist = this.playlist;
+        const name = playlist.tracks[playlist.order[position]];
+        const loading = this._resolveAudio(name) ? null : this._loadOnDemand(name);
+        
+        if (!loading) {
+            step();
+            return;
+        }
+        
+        loading.then(loaded => {
+            if (this.playlist !== playlist) return;
+            if (loaded) {
+                this._guardPlaylist(step);
+            } else {
+                // The failure has been reported by the load
+                this._clearPlaylist();
+            }
+        }).catch(error => {
+            if (this.playlist === playlist) this._clearPlaylist();
+            this._reportAsyncError(error);
+        });
+    }
+    
+    /**
+     * Get the name of the track the queue plays after the current one, if known yet
+     * @private
+     * @returns {string|null}
+     */
+    _getUpcomingPlaylistTrack() {
+        const { tracks, order, position, repeat, shuffle } = this.playlist;
+        
+        // A shuffled queue is reshuffled when it wraps, so its next track is not known yet
+        let next = position + 1;
+        if (next >= order.length) {
+            if (repeat !== 'all' || shuffle) return null;
+            next = 0;
+        }
+        return tracks[order[next]];
+    }
+    
+    /**
+     * Start loading the queue's next track, if it is registered but not loaded,
+     * so it is ready by the time it is due
+     * @private
+     */
+    _prefetchPlaylistTrack() {
+        const name = this._getUpcomingPlaylistTrack();
+        if (!name) return;
+        
+        const loading = this._resolveAudio(name) ? null : this._loadOnDemand(name);
+        if (loading) {
+            loading.catch(error => this._reportAsyncError(error));
+        }
+    }
+    
+    /**
+     * Schedule the next queued track to start exactly when the current one ends.
+     * The current track stays the current music until it has finished.
+     * @private
+     */
+    _advancePlaylist(playback) {
+        const playlist = this.playlist;
+        if (!playlist || playlist.pending || !this.currentMusic || this.currentMusic.playback !== playback) return;
+        
+        const position = this._getPlaylistPosition(1);
+        if (position === null) {
+            // End of the queue: let the last track finish on its own
+            this.playlist = null;
+            return;
+        }
+        
+        this._whenPlaylistTrackLoaded(position, () => this._lineUpPlaylistTrack(playback, position));
+    }
+    
+    /**
+     * Start the track at a queue position when the current one ends
+     * @private
+     */
+    _lineUpPlaylistTrack(playback, position) {
+        const playlist = this.playlist;
+        if (!playlist || playlist.pending || this.isMusicPaused) return;
+        
+        // The current track finished while the next one was loading
+        if (!this.currentMusic) {
+            if (!this._playPlaylistTrack(position, 0, 0)) this._clearPlaylist();
+            return;
+        }
+        if (this.currentMusic.playback !== playback) return;
+        
+        const { crossfade } = playlist;
+        const when = Math.max(this.audioContext.currentTime, playback.endTime - crossfade);
+        
+        const next = this._startPlaylistTrack(position, when, crossfade);
+        if (!next) {
+            // The failure has been reported; the current track finishes on its own
+            this._clearPlaylist();
+            return;
+        }
+        playlist.pending = { playback: next, position };
+        
+        // The current track ends on its own; it only needs fading out under the next one
+        if (crossfade > 0) {
+            const gain = playback.gain.gain;
+            gain.cancelScheduledValues(when);
+            gain.setValueAtTime(playback.volume, when);
+            gain.linearRampToValueAtTime(0, when + crossfade);
+        }
+    }
+    
+    /**
+     * Stop a queued track that is scheduled to follow the current one, so the
+     * current track can be paused or moved. The advance is scheduled again later.
+     * @private
+     */
+    _cancelPendingTrack() {
+        const pending = this.playlist && this.playlist.pending;
+        if (!pending) return;
+        
+        this.playlist.pending = null;
+        pending.playback.stop();
+        
+        // Undo the crossfade fade-out of the current track
+        const current = this.currentMusic && this.currentMusic.playback;
+        if (current && current.state === 'playing') {
+            current.setVolume(current.volume);
+        }
+    }
+    
+    /**
+     * Cancel the pending playlist advance timer
+     * @private
+     */
+    _cancelPlaylistAdvance() {
+        if (this.playlist && this.playlist.timer !== null) {
+            clearTimeout(this.playlist.timer);
+            this.playlist.timer = null;
+        }
+    }
+    
+    /**
+     * Forget the music queue, stopping a track scheduled to follow the current one
+     * @private
+     */
+    _clearPlaylist() {
+        this._cancelPlaylistAdvance();
+        this._cancelPendingTrack();
+        this.playlist = null;
+    }
+    
+    /**
+     * Get the playbacks that make up the current music
+     * @private
+     */
+    _getCurrentMusicPlaybacks() {
+        if (!this.currentMusic) return [];
+        if (!this.currentMusic.layers) {
+            const { intro, playback } = this.currentMusic;
+            return intro && intro.state !== 'stopped' ? [intro, playback] : [playback];
+        }
+        
+        return Array.from(this.currentMusic.layers.values()).map(layer => layer.playback);
+    }
+    
+    /**
+     * Internal method to play audio
+     * @private
+     * @returns {Playback|null}
+     */
+    _playAudio(name, gainNode, options) {
+        if (!this.isInitialized) {
+            this._reportError(new NotInitializedError());
+            return null;
+        }
+        
+        const audio = this._resolveAudio(name);
+        if (!audio) {
+            this._reportError(new AudioNotLoadedError(name));
+            return null;
+        }
+        
+        const { buffer, region, stream } = audio;
+        this._touchAudio(name);
+        const loop = options.loop !== undefined ? options.loop : Boolean(region && region.loop);
+        
+        // Enforce SFX voice caps before creating any nodes
+        if (options.type === 'sfx' && !this._allocateVoice(name, options.priority)) {
+            return null;
+        }
+        
+        try {
+            const playback = new Playback(this, {
+                name,
+                buffer,
+                stream,
+                region,
+                loop,
+                loopStart: options.loopStart,
+                loopEnd: options.loopEnd,
+                output: gainNode,
+                volume: options.volume,
+                fadeIn: options.fadeIn,
+                priority: options.priority,
+                effects: options.effects,
+                spatial: options.spatial,
+                when: options.when,
+                rate: options.rate,
+                bus: options.bus,
+                category: options.category,
+                type: options.type
+            });
+            
+            playback._start(0, options.when);
+            
+            // Track active playbacks for cleanup
+            this.activePlaybacks.add(playback);
+            if (options.type === 'sfx') {
+                this.voices.add(playback);
+            }
+            this._updateDucking();
+            
+            this._emit('play', { name, type: options.type, playback });
+            return playback;
+        } catch (error) {
+            this._reportError(new PlaybackError(name, error));
+            return null;
+        }
+    }
+    
+    /**
+     * Called by a Playback when it has finished or been stopped
+     * @private
+     */
+    _onPlaybackEnded(playback) {
+        this.activePlaybacks.delete(playback);
+        this.activeMusicPlaybacks.delete(playback);
+        this.voices.delete(playback);
+        this._updateDucking();
+        
+        if (this.currentMusic && this.currentMusic.playback === playback) {
+            const pending = this.playlist && this.playlist.pending;
+            if (pending) {
+                // The queued track scheduled to follow on takes over
+                this._setPlaylistTrack(pending.position, pending.playback);
+            } else {
+                this._setCurrentMusic(null);
+                this.isMusicPaused = false;
+            }
+        } else if (this.playlist && this.playlist.pending && this.playlist.pending.playback === playback) {
+            this.playlist.pending = null;
+        }
+        
+        this._emit('ended', { name: playback.name, type: playback.type, playback });
+    }
+    
+    /**
+     * Replace the current music, emitting 'musicchange' when the track changes
+     * @private
+     */
+    _setCurrentMusic(music) {
+        const previous = this.currentMusic ? this.currentMusic.name : null;
+        this.currentMusic = music;
+        
+        const name = music ? music.name : null;
+        if (name !== previous) {
+            this._emit('musicchange', { name, previous });
+        }
+    }
+    
+    /**
+     * Stop all music
+     */
+    stopMusic() {
+        this._clearPlaylist();
+        Array.from(this.activeMusicPlaybacks).forEach(playback => playback.stop());
+        this.activeMusicPlaybacks.clear();
+        this._setCurrentMusic(null);
+        this.isMusicPaused = false;
+    }
+    
+    /**
+     * Pause current music, along with music still fading out or lined up
+     * by a transition, stingers and bridge segments
+     */
+    pauseMusic() {
+        if (this.currentMusic && !this.isMusicPaused) {
+            // A queued track lined up to follow is scheduled again on resume
+            this._cancelPendingTrack();
+            const paused = Array.from(this.activeMusicPlaybacks)
+                .map(playback => playback.pause())
+                .some(Boolean);
+            
+            if (paused) {
+                this.isMusicPaused = true;
+                this._cancelPlaylistAdvance();
+                this._emit('statechange', this.getState());
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Resume paused music
+     */
+    resumeMusic() {
+        if (this.currentMusic && this.isMusicPaused) {
+            // Resume everything at the same audio clock time to keep layers aligned.
+            // Playbacks that had not started yet, such as the track after an intro,
+            // keep the rest of their wait.
+            const when = this.audioContext.currentTime;
+            const resumed = Array.from(this.activeMusicPlaybacks)
+                .map(playback => playback.resume(when))
+                .some(Boolean);
+            
+            if (resumed) {
+                this.isMusicPaused = false;
+                this._schedulePlaylistAdvance();
+                this._emit('statechange', this.getState());
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Get the playhead position of the current music, in seconds into the track.
+     * Loops wrap the position and rate changes are accounted for. While an intro
+     * plays the position is negative, counting up to 0 when the track starts.
+     * @returns {number|null} Position in seconds, or null if no music is playing
+     */
+    getMusicPosition() {
+        if (!this.currentMusic) return null;
+        
+        const { intro, playback } = this.currentMusic;
+        if (this._isInIntro(intro)) {
+            return intro.currentTime - intro.duration;
+        }
+        return playback.currentTime;
+    }
+    
+    /**
+     * Get the length of the current music track, excluding any intro
+     * @returns {number|null} Duration in seconds, or null if no music is playing
+     */
+    getMusicDuration() {
+        if (!this.currentMusic) return null;
+        return this.currentMusic.playback.duration;
+    }
+    
+    /**
+     * Jump the current music to a position. Layers move together; seeking
+     * during an intro skips the rest of it. Paused music stays paused.
+     * @param {number} seconds - Position in seconds into the track
+     * @returns {boolean} true if the music was moved
+     */
+    seekMusic(seconds) {
+        if (!this.currentMusic) return false;
+        if (!Number.isFinite(seconds)) {
+            this._reportError(new InvalidArgumentError(`Music position must be a number, got ${seconds}.`));
+            return false;
+        }
+        
+        const { intro, playback } = this.currentMusic;
+        if (intro && intro.state !== 'stopped') {
+            intro.stop();
+            playback._reschedule(0);
+        }
+        
+        // A queued track lined up to follow would start at the old end time
+        this._cancelPendingTrack();
+        
+        this._getCurrentMusicPlaybacks().forEach(playback => playback.seek(seconds));
+        
+        // The track now ends at a different time
+        if (!this.isMusicPaused) {
+            this._schedulePlaylistAdvance();
+        }
+        return true;
+    }
+    
+    /**
+     * Set the playback rate of the current music (1.0 is normal speed, also
+     * changes pitch). Applies to every layer, a playing intro and the later
+     * tracks of a queue.
+     * @param {number} rate - Playback rate, greater than 0
+     * @returns {boolean} true if the rate was set
+     */
+    setMusicRate(rate) {
+        if (!this.currentMusic) return false;
+        if (!(rate > 0)) {
+            this._reportError(new InvalidArgumentError(`Music rate must be greater than 0, got ${rate}.`));
+            return false;
+        }
+        
+        const { intro, playback } = this.currentMusic;
+        const inIntro = this._isInIntro(intro);
+        this._cancelPendingTrack();
+        this._getCurrentMusicPlaybacks().forEach(music => music.setRate(rate));
+        
+        // Later tracks of a queue keep the rate
+        if (this.playlist) {
+            this.playlist.rate = rate;
+        }
+        
+        // The intro now ends at a different time, so move the track's start with it
+        if (inIntro) {
+            playback._reschedule(intro.endTime);
+        }
+        
+        if (!this.isMusicPaused) {
+            this._schedulePlaylistAdvance();
+        }
+        return true;
+    }
+    
+    /**
+     * Whether the music is still in its intro
+     * @private
+     */
+    _isInIntro(intro) {
+        if (!intro || intro.state === 'stopped') return false;
+        return intro.state === 'paused' || this.audioContext.currentTime < intro.endTime;
+    }
+    
+    /**
+     * Stop all audio
+     */
+    stopAll() {
+        this._clearPlaylist();
+        Array.from(this.activePlaybacks).forEach(playback => playback.stop());
+        this.activePlaybacks.clear();
+        this.activeMusicPlaybacks.clear();
+        this.voices.clear();
+        this._setCurrentMusic(null);
+        this.isMusicPaused = false;
+    }
+    
+    /**
+     * Set volume for a bus
+     * @param {string} type - 'master', 'music', 'sfx' or a custom bus name
+     * @param {number} volume - Volume from 0 to 100
+     */
+    setVolume(type, volume) {
+        if (!this.buses.has(type)) {
+            this._reportError(new InvalidArgumentError(`Bus "${type}" does not exist.`));
+            return false;
+        }
+        
+        volume = Math.max(0, Math.min(100, volume));
+        this.volumes[type] = volume;
+        this.updateVolumes();
+        return true;
+    }
+    
+    /**
+     * Get current volume
+     * @param {string} type - 'master', 'music', 'sfx' or a custom bus name
+     */
+    getVolume(type) {
+        return this.volumes[type];
+    }
+    
+    /**
+     * Update gain node volumes based on current settings
+     * @private
+     */
+    updateVolumes() {
+        if (!this.isInitialized) return;
+        
+        // Buses are nested gain nodes, so each one only applies its own volume;
+        // the effective level of a bus is the product along its path to master.
+        // Buses whose gain is unchanged keep any snapshot blend or duck in progress.
+        this.buses.forEach(bus => {
+            if (this._getBusGain(bus) !== bus.targetGain) {
+                this._rampBusGain(bus, 0);
+            }
+        });
+    }
+    
+    /**
+     * Gain a bus node should have: its volume, unless muted or left out by
+     * a solo, lowered by any duck on it
+     * @private
+     */
+    _getBusGain(bus) {
+        if (!this._isBusAudible(bus)) return 0;
+        if (this.globalMute && bus.parent === null) return 0;
+        
+        const duck = this.duckState.get(bus.name);
+        let duckAmount = duck ? duck.amount : 0;
+        if (bus.parent === null) {
+            duckAmount += this.backgroundDuck;
+        }
+        return this._volumeToGain(this.volumes[bus.name]) * Math.pow(10, duckAmount / 20);
+    }
+    
+    /**
+     * Map a 0-100 volume to a gain through the volume curve
+     * @private
+     */
+    _volumeToGain(volume) {
+        const level = volume / 100;
+        const { curve, range } = this.volumeCurve;
+        if (level <= 0) return 0;
+        
+        switch (curve) {
+            case 'db':
+                return Math.pow(10, (level - 1) * range / 20);
+            case 'exponential': {
+                // Rises like 'db' near the top, but reaches silence at 0 without a jump
+                const ratio = Math.pow(10, range / 20);
+                return (Math.pow(ratio, level) - 1) / (ratio - 1);
+            }
+            default:
+                return level;
+        }
+    }
+    
+    /**
+     * Choose how 0-100 volumes map to loudness. Ears hear loudness on a
+     * log scale, so 'db' and 'exponential' make each slider step sound
+     * about as big as the last.
+     * @param {string} curve - 'linear', 'db' (100 is 0 dB, each step lowers by
+     *     range/100 dB, and 0 is silent) or 'exponential'
+     * @param {Object} options - Curve options
+     * @param {number} [options.range=60] - dB covered by the slider, for 'db' and 'exponential'
+     * @returns {boolean} Whether the curve was set
+     */
+    setVolumeCurve(curve, options = {}) {
+        const { range = 60 } = options;
+        
+        if (!['linear', 'db', 'exponential'].includes(curve)) {
+            this._reportError(new InvalidArgumentError(`Unknown volume curve "${curve}".`));
+            return false;
+        }
+        if (!(range > 0)) {
+            this._reportError(new InvalidArgumentError(`Volume curve range must be above 0 dB, not ${range}.`));
+            return false;
+        }
+        
+        this.volumeCurve = { curve, range };
+        this.updateVolumes();
+        return true;
+    }
+    
+    /**
+     * Mute or unmute everything, keeping bus volumes and mutes
+     * @param {boolean} muted - Whether all audio is muted
+     */
+    setGlobalMute(muted = true) {
+        this.globalMute = Boolean(muted);
+        this.updateVolumes();
+    }
+    
+    /**
+     * Toggle the global mute
+     * @returns {boolean} Whether all audio is now muted
+     */
+    toggleGlobalMute() {
+        this.setGlobalMute(!this.globalMute);
+        return this.globalMute;
+    }
+    
+    /**
+     * Check whether everything is muted
+     */
+    isGlobalMuted() {
+        return this.globalMute;
+    }
+    
+    /**
+     * Save bus volumes, mutes and the global mute
+     * @param {Object} options - Storage options
+     * @param {Object} [options.storage] - Object with getItem(key) and setItem(key, value),
+     *     which may return promises (default: localStorage)
+     * @param {string} [options.key='audiomark-settings'] - Key to store the settings under
+     * @returns {Promise<boolean>} Whether the settings were saved
+     */
+    async saveSettings(options = {}) {
+        const {
+            storage = globalThis.localStorage,
+            key = 'audiomark-settings'
+        } = options;
+        
+        const settings = {
+            version: SETTINGS_VERSION,
+            volumes: { ...this.volumes },
+            muted: {},
+            globalMute: this.globalMute
+        };
+        this.buses.forEach(bus => {
+            settings.muted[bus.name] = bus.muted;
+        });
+        
+        try {
+            if (!storage) throw new Error('No settings storage is available.');
+            await storage.setItem(key, JSON.stringify(settings));
+            return true;
+        } catch (error) {
+            this._reportError(new AudioMarkError(`Failed to save audio settings: ${error.message}`, 'SETTINGS_FAILED', { cause: error }));
+            return false;
+        }
+    }
+    
+    /**
+     * Restore settings written by saveSettings(). Create custom buses first:
+     * settings for buses that do not exist are ignored.
+     * @param {Object} options - Same as saveSettings()
+     * @returns {Promise<boolean>} Whether settings were found and applied
+     */
+    async loadSettings(options = {}) {
+        const {
+            storage = globalThis.localStorage,
+            key = 'audiomark-settings'
+        } = options;
+        
+        let settings;
+        try {
+            if (!storage) throw new Error('No settings storage is available.');
+            const data = await storage.getItem(key);
+            if (data === null || data === undefined) return false;
+            
+            settings = JSON.parse(data);
+            if (!settings || settings.version !== SETTINGS_VERSION) {
+                throw new Error(`Settings version ${settings && settings.version} is not supported.`);
+            }
+        } catch (error) {
+            this._reportError(new AudioMarkError(`Failed to load audio settings: ${error.message}`, 'SETTINGS_FAILED', { cause: error }));
+            return false;
+        }
+        
+        Object.entries(settings.volumes || {}).forEach(([name, volume]) => {
+            if (this.buses.has(name) && typeof volume === 'number') {
+                this.volumes[name] = Math.max(0, Math.min(100, volume));
+            }
+        });
+        Object.entries(settings.muted || {}).forEach(([name, muted]) => {
+            const bus = this.buses.get(name);
+            if (bus) bus.muted = Boolean(muted);
+        });
+        this.globalMute = Boolean(settings.globalMute);
+        
+        this.updateVolumes();
+        return true;
+    }
+    
+    /**
+     * Move a bus node to its current gain, replacing any ramp in progress
+     * @private
+     */
+    _rampBusGain(bus, rampSec, curve = 'linear') {
+        bus.targetGain = this._getBusGain(bus);
+        rampParam(bus.gain.gain, bus.targetGain, this.audioContext.currentTime, rampSec, curve);
+    }
+    
+    /**
+     * Set the 3D listener position and orientation. Omitted fields are kept.
+     * @param {Object} listener - { position, forward, up } as { x, y, z } vectors
+     */
+    setListener(listener = {}) {
+        ['position', 'forward', 'up'].forEach(key => {
+            if (listener[key]) {
+                this.listener[key] = { ...this.listener[key], ...listener[key] };
+            }
+        });
+        
+        if (this.isInitialized) {
+            this._applyListener();
+        }
+    }
+    
+    /**
+     * Get the 3D listener position and orientation
+     */
+    getListener() {
+        return {
+            position: { ...this.listener.position },
+            forward: { ...this.listener.forward },
+            up: { ...this.listener.up }
+        };
+    }
+    
+    /**
+     * Apply the stored listener settings to the context's AudioListener
+     * @private
+     */
+    _applyListener() {
+        const audioListener = this.audioContext.listener;
+        if (!audioListener) return;
+        
+        const { position, forward, up } = this.listener;
+        const now = this.audioContext.currentTime;
+        
+        if (audioListener.positionX) {
+            setVectorParams(audioListener, 'position', position, now);
+            setVectorParams(audioListener, 'forward', forward, now);
+            setVectorParams(audioListener, 'up', up, now);
+        } else {
+            // Older implementations only have the deprecated setters
+            audioListener.setPosition(position.x, position.y, position.z);
+            audioListener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+    }
+    
+    /**
+     * Create a mixer bus
+     * @param {string} name - Identifier for the bus
+     * @param {Object} options - Bus options
+     * @param {string} [options.parent='master'] - Bus this one feeds into
+     * @param {number} [options.volume=100] - Initial volume from 0 to 100
+     */
+    createBus(name, options = {}) {
+        const {
+            parent = 'master',
+            volume = 100
+        } = options;
+        
+        if (this.buses.has(name)) {
+            this._reportError(new InvalidArgumentError(`Bus "${name}" already exists.`));
+            return false;
+        }
+        if (!this.buses.has(parent)) {
+            this._reportError(new InvalidArgumentError(`Parent bus "${parent}" does not exist.`));
+            return false;
+        }
+        
+        const bus = this._defineBus(name, parent);
+        this.volumes[name] = Math.max(0, Math.min(100, volume));
+        
+        if (this.isInitialized) {
+            this._createBusNode(bus);
+            this.updateVolumes();
+        }
+        return true;
+    }
+    
+    /**
+     * Get the names of all buses
+     */
+    getBuses() {
+        return Array.from(this.buses.keys());
+    }
+    
+    /**
+     * Mute or unmute a bus
+     * @param {string} name - Bus name
+     * @param {boolean} muted - Whether the bus is muted
+     */
+    setMute(name, muted = true) {
+        const bus = this.buses.get(name);
+        if (!bus) {
+            this._reportError(new InvalidArgumentError(`Bus "${name}" does not exist.`));
+            return false;
+        }
+        
+        bus.muted = Boolean(muted);
+        this.updateVolumes();
+        return true;
+    }
+    
+    /**
+     * Check whether a bus is muted
+     * @param {string} name - Bus name
+     */
+    isMuted(name) {
+        const bus = this.buses.get(name);
+        return bus ? bus.muted : false;
+    }
+    
+    /**
+     * Solo or unsolo a bus. While any bus is soloed, only soloed buses
+     * (and the buses they feed into or are fed by) are audible.
+     * @param {string} name - Bus name
+     * @param {boolean} soloed - Whether the bus is soloed
+     */
+    setSolo(name, soloed = true) {
+        const bus = this.buses.get(name);
+        if (!bus) {
+            this._reportError(new InvalidArgumentError(`Bus "${name}" does not exist.`));
+            return false;
+        }
+        
+        bus.soloed = Boolean(soloed);
+        this.updateVolumes();
+        return true;
+    }
+    
+    /**
+     * Check whether a bus is soloed
+     * @param {string} name - Bus name
+     */
+    isSoloed(name) {
+        const bus = this.buses.get(name);
+        return bus ? bus.soloed : false;
+    }
+    
+    /**
+     * Add a bus definition; its gain node is created on initialize()
+     * @private
+     */
+    _defineBus(name, parent) {
+        const bus = {
+            name,
+            parent,
+            gain: null,
+            targetGain: null,
+            effects: null,
+            muted: false,
+            soloed: false
+        };
+        this.buses.set(name, bus);
+        return bus;
+    }
+    
+    /**
+     * Create and connect the gain node for a bus
+     * @private
+     */
+    _createBusNode(bus) {
+        const output = bus.parent ? this.buses.get(bus.parent).gain : this.audioContext.destination;
+        
+        // Bus volume is applied before the bus's effect chain
+        bus.gain = this.audioContext.createGain();
+        bus.targetGain = null;
+        bus.effects = new EffectChain(this, bus.gain, output);
+    }
+    
+    /**
+     * Get the effect chain of a bus
+     * @param {string} name - Bus name
+     * @returns {EffectChain|null}
+     */
+    getEffectChain(name) {
+        if (!this.isInitialized) {
+            this._reportError(new NotInitializedError());
+            return null;
+        }
+        
+        const bus = this.buses.get(name);
+        if (!bus) {
+            this._reportError(new InvalidArgumentError(`Bus "${name}" does not exist.`));
+            return null;
+        }
+        return bus.effects;
+    }
+    
+    /**
+     * Get the node that playbacks on a bus connect to
+     * @private
+     */
+    _getBusOutput(name) {
+        if (!this.isInitialized) {
+            this._reportError(new NotInitializedError());
+            return null;
+        }
+        
+        const bus = this.buses.get(name);
+        if (!bus) {
+            this._reportError(new InvalidArgumentError(`Bus "${name}" does not exist.`));
+            return null;
+        }
+        return bus.gain;
+    }
+    
+    /**
+     * Names of a bus's ancestors, nearest first
+     * @private
+     */
+    _getBusAncestors(bus) {
+        const ancestors = [];
+        let parent = bus.parent;
+        while (parent) {
+            ancestors.push(parent);
+            parent = this.buses.get(parent).parent;
+        }
+        return ancestors;
+    }
+    
+    /**
+     * Whether a bus passes audio, taking mute and solo into account
+     * @private
+     */
+    _isBusAudible(bus) {
+        if (bus.muted) return false;
+        
+        const soloed = Array.from(this.buses.values()).filter(b => b.soloed);
+        if (soloed.length === 0) return true;
+        
+        // A bus stays audible if it is soloed, feeds a soloed bus, or is fed by one
+        return soloed.some(solo => solo === bus ||
+            this._getBusAncestors(solo).includes(bus.name) ||
+            this._getBusAncestors(bus).includes(solo.name));
+    }
+    
+    /**
+     * Add a ducking rule: while anything plays on a trigger bus or with a
+     * trigger category, the target bus is turned down, then recovers
+     * @param {Object} rule - Ducking rule
+     * @param {string|string[]} rule.trigger - Bus names or play categories that start the duck.
+     *     Plays on child buses of a trigger bus count too.
+     * @param {string} rule.target - Bus to turn down
+     * @param {number} [rule.amount=-12] - How far to turn it down, in dB
+     * @param {number} [rule.attack=0.1] - Seconds to duck over
+     * @param {number} [rule.release=0.5] - Seconds to recover over
+     * @returns {number|null} Rule id for removeDuck()
+     */
+    duck(rule = {}) {
+        const {
+            trigger,
+            target,
+            amount = -12,
+            attack = 0.1,
+            release = 0.5
+        } = rule;
+        
+        const triggers = [].concat(trigger || []);
+        if (triggers.length === 0) {
+            this._reportError(new InvalidArgumentError('A ducking rule needs a trigger.'));
+            return null;
+        }
+        if (!this.buses.has(target)) {
+            this._reportError(new InvalidArgumentError(`Bus "${target}" does not exist.`));
+            return null;
+        }
+        if (typeof amount !== 'number' || !(amount <= 0)) {
+            this._reportError(new InvalidArgumentError(`Duck amount must be 0 dB or less, not ${amount}.`));
+            return null;
+        }
+        
+        const id = ++this.duckRuleCounter;
+        this.duckRules.push({
+            id,
+            triggers,
+            target,
+            amount,
+            attack: Math.max(0, attack),
+            release: Math.max(0, release)
+        });
+        this._updateDucking();
+        return id;
+    }
+    
+    /**
+     * Remove a ducking rule. A duck it was holding recovers over its release time.
+     * @param {number} id - Rule id returned by duck()
+     */
+    removeDuck(id) {
+        const index = this.duckRules.findIndex(rule => rule.id === id);
+        if (index === -1) return false;
+        
+        this.duckRules.splice(index, 1);
+        this._updateDucking();
+        return true;
+    }
+    
+    /**
+     * Get how far a bus is currently ducked
+     * @param {string} name - Bus name
+     * @returns {number} Duck amount in dB, 0 when not ducked
+     */
+    getDuckLevel(name) {
+        const duck = this.duckState.get(name);
+        return duck ? duck.amount : 0;
+    }
+    
+    /**
+     * Whether a playback starts a ducking rule
+     * @private
+     */
+    _triggersDuck(rule, playback) {
+        if (playback.category && rule.triggers.includes(playback.category)) return true;
+        
+        const bus = this.buses.get(playback.bus);
+        if (!bus) return false;
+        return [bus.name, ...this._getBusAncestors(bus)].some(name => rule.triggers.includes(name));
+    }
+    
+    /**
+     * Duck each target bus by its deepest rule with a trigger playing, and
+     * recover buses whose triggers have all stopped. Called whenever a
+     * playback starts, pauses, resumes or ends.
+     * @private
+     */
+    _updateDucking() {
+        if (!this.isInitialized) return;
+        
+        const playing = Array.from(this.activePlaybacks).filter(playback => playback.state !== 'paused');
+        
+        this.buses.forEach(bus => {
+            let rule = null;
+            this.duckRules.forEach(candidate => {
+                if (candidate.target !== bus.name || (rule && candidate.amount >= rule.amount)) return;
+                if (playing.some(playback => this._triggersDuck(candidate, playback))) {
+                    rule = candidate;
+                }
+            });
+            
+            const current = this.duckState.get(bus.name) || null;
+            const amount = rule ? rule.amount : 0;
+            if (amount === (current ? current.amount : 0)) {
+                if (rule) this.duckState.set(bus.name, { amount, rule });
+                return;
+            }
+            
+            // Deeper ducks use the new rule's attack; recovering uses the release
+            // of the rule that was holding the duck
+            const rampSec = current && amount > current.amount ? current.rule.release : rule.attack;
+            if (rule) {
+                this.duckState.set(bus.name, { amount, rule });
+            } else {
+                this.duckState.delete(bus.name);
+            }
+            this._rampBusGain(bus, rampSec);
+            this._emit('duck', { bus: bus.name, amount });
+        });
+    }
+    
+    /**
+     * Save a named mixer snapshot
+     * @param {string} name - Identifier for the snapshot
+     * @param {Object} [snapshot] - Settings to store, as { volumes, muted, effects } keyed by
+     *     bus name, where effects lists parameters for each effect in the bus's chain. Buses
+     *     and effects left out are not changed when the snapshot is applied. Default: the
+     *     whole mixer as it is now.
+     * @returns {boolean} Whether the snapshot was saved
+     */
+    saveSnapshot(name, snapshot = null) {
+        const state = snapshot ? this._normalizeSnapshot(snapshot) : this._captureMixer();
+        if (!state) return false;
+        
+        this.snapshots.set(name, state);
+        return true;
+    }
+    
+    /**
+     * Delete a mixer snapshot
+     * @param {string} name - Snapshot name
+     */
+    deleteSnapshot(name) {
+        return this.snapshots.delete(name);
+    }
+    
+    /**
+     * Get the names of all mixer snapshots
+     */
+    getSnapshots() {
+        return Array.from(this.snapshots.keys());
+    }
+    
+    /**
+     * Move the mixer to a snapshot
+     * @param {string} name - Snapshot name
+     * @param {Object} options - Blend options
+     * @param {number} [options.duration=0] - Blend time in seconds
+     * @param {string} [options.curve='linear'] - 'linear' or 'exponential'
+     * @returns {boolean} Whether the snapshot was applied
+     */
+    applySnapshot(name, options = {}) {
+        const snapshot = this._getSnapshot(name);
+        if (!snapshot) return false;
+        
+        return this._applyMixer(snapshot, options);
+    }
+    
+    /**
+     * Apply a snapshot as an overlay that popSnapshot() removes again
+     * @param {string} name - Snapshot name
+     * @param {Object} options - Same as applySnapshot()
+     * @returns {boolean} Whether the snapshot was applied
+     */
+    pushSnapshot(name, options = {}) {
+        const snapshot = this._getSnapshot(name);
+        if (!snapshot) return false;
+        
+        // Only the settings the snapshot changes are restored on pop
+        const replaced = this._captureMixer(snapshot);
+        if (!this._applyMixer(snapshot, options)) return false;
+        
+        this.snapshotStack.push({ name, replaced });
+        return true;
+    }
+    
+    /**
+     * Remove the most recently pushed snapshot, restoring the settings it changed
+     * @param {Object} options - Same as applySnapshot()
+     * @returns {boolean} false if no snapshot was pushed
+     */
+    popSnapshot(options = {}) {
+        if (this.snapshotStack.length === 0) return false;
+        
+        const { replaced } = this.snapshotStack.pop();
+        return this._applyMixer(replaced, options);
+    }
+    
+    /**
+     * Look up a snapshot, reporting unknown names
+     * @private
+     */
+    _getSnapshot(name) {
+        const snapshot = this.snapshots.get(name);
+        if (!snapshot) {
+            this._reportError(new InvalidArgumentError(`Snapshot "${name}" does not exist.`));
+            return null;
+        }
+        return snapshot;
+    }
+    
+    /**
+     * Copy a user-supplied snapshot, checking that its buses exist
+     * @private
+     */
+    _normalizeSnapshot(snapshot) {
+        const { volumes = {}, muted = {}, effects = {} } = snapshot;
+        
+        const unknown = [volumes, muted, effects]
+            .flatMap(settings => Object.keys(settings))
+            .find(name => !this.buses.has(name));
+        if (unknown) {
+            this._reportError(new InvalidArgumentError(`Bus "${unknown}" does not exist.`));
+            return null;
+        }
+        
+        const copy = { volumes: { ...volumes }, muted: { ...muted }, effects: {} };
+        Object.entries(effects).forEach(([name, chain]) => {
+            copy.effects[name] = Array.from(chain, params => (params ? { ...params } : null));
+        });
+        return copy;
+    }
+    
+    /**
+     * Record the mixer's volumes, mutes and effect parameters, or only the
+     * ones a snapshot sets
+     * @private
+     * @param {Object} only - Snapshot whose settings to record (default: everything)
+     */
+    _captureMixer(only = null) {
+        const state = { volumes: {}, muted: {}, effects: {} };
+        
+        this.buses.forEach(bus => {
+            const name = bus.name;
+            if (!only || name in only.volumes) {
+                state.volumes[name] = this.volumes[name];
+            }
+            if (!only || name in only.muted) {
+                state.muted[name] = bus.muted;
+            }
+            if (bus.effects && (!only || name in only.effects)) {
+                state.effects[name] = bus.effects.effects.map((effect, index) => {
+                    const params = only ? only.effects[name][index] : effect.params;
+                    if (!params) return null;
+                    
+                    const values = {};
+                    Object.keys(params).forEach(param => {
+                        values[param] = param in effect.params ? effect.params[param] : effect.get(param);
+                    });
+                    return values;
+                });
+            }
+        });
+        
+        return state;
+    }
+    
+    /**
+     * Move volumes, mutes and effect parameters to the values in a snapshot.
+     * Effects need the audio context, so before initialize() only volumes
+     * and mutes are set.
+     * @private
+     */
+    _applyMixer(state, options = {}) {
+        const {
+            duration = 0,
+            curve = 'linear'
+        } = options;
+        
+        if (curve !== 'linear' && curve !== 'exponential') {
+            this._reportError(new InvalidArgumentError(`Unknown blend curve "${curve}".`));
+            return false;
+        }
+        
+        Object.entries(state.volumes).forEach(([name, volume]) => {
+            if (this.buses.has(name)) {
+                this.volumes[name] = Math.max(0, Math.min(100, volume));
+            }
+        });
+        Object.entries(state.muted).forEach(([name, muted]) => {
+            const bus = this.buses.get(name);
+            if (bus) bus.muted = Boolean(muted);
+        });
+        
+        if (!this.isInitialized) return true;
+        
+        this.buses.forEach(bus => this._rampBusGain(bus, duration, curve));
+        Object.entries(state.effects).forEach(([name, chain]) => {
+            const bus = this.buses.get(name);
+            if (!bus) return;
+            
+            chain.forEach((params, index) => {
+                const effect = bus.effects.effects[index];
+                if (!effect || !params) return;
+                Object.entries(params).forEach(([param, value]) => effect.set(param, value, duration, curve));
+            });
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Fade out audio over specified duration
+     * @param {Playback} playback - The playback to fade
+     * @param {number} duration - Fade duration in seconds
+     */
+    fadeOut(playback, duration = 1.0) {
+        if (!playback || !this.isInitialized) return;
+        
+        playback.stop(duration);
+    }
+    
+    /**
+     * Set tempo metadata for a music track
+     * @param {string} name - Identifier for the track (or "sprite:region")
+     * @param {Object} tempo - Tempo metadata
+     * @param {number} tempo.bpm - Beats per minute
+     * @param {number} [tempo.beatsPerBar=4] - Beats per bar
+     * @param {number} [tempo.offset=0] - Time of the first beat in seconds
+     */
+    setTrackTempo(name, tempo) {
+        const {
+            bpm,
+            beatsPerBar = 4,
+            offset = 0
+        } = tempo;
+        
+        if (!(bpm > 0)) {
+            this._reportError(new InvalidArgumentError(`Invalid tempo for "${name}": bpm must be greater than 0.`));
+            return false;
+        }
+        
+        this.trackTempos.set(name, { bpm, beatsPerBar, offset });
+        return true;
+    }
+    
+    /**
+     * Get tempo metadata for a music track
+     * @param {string} name - Identifier for the track
+     */
+    getTrackTempo(name) {
+        const tempo = this.trackTempos.get(name);
+        return tempo ? { ...tempo } : null;
+    }
+    
+    /**
+     * Get the context time of the next sync point of the current music
+     * @private
+     * @param {string} sync - 'immediate', 'beat', 'bar' or 'end'
+     */
+    _getNextSyncTime(sync) {
+        const now = this.audioContext.currentTime;
+        const playback = this.currentMusic ? this.currentMusic.playback : null;
+        
+        if (sync === 'immediate' || !playback || playback.state !== 'playing') {
+            return now;
+        }
+        
+        const position = playback.currentTime;
+        const { loop, loopStart, loopEnd } = playback;
+        
+        // Track time from the playhead to the sync point
+        let distance;
+        
+        if (sync === 'end') {
+            distance = (loop ? loopEnd : playback.duration) - position;
+        } else {
+            const tempo = this.trackTempos.get(this.currentMusic.name) ||
+                this.trackTempos.get(playback.name);
+            if (!tempo) return now;
+            
+            const beatLength = 60 / tempo.bpm;
+            const step = sync === 'bar' ? beatLength * tempo.beatsPerBar : beatLength;
+            const nextBoundary = time => tempo.offset + Math.ceil((time - tempo.offset) / step) * step;
+            
+            // Skip boundaries too close to schedule reliably
+            const earliest = position + SYNC_LOOKAHEAD * playback.rate;
+            const target = nextBoundary(earliest);
+            
+            if (!loop) {
+                distance = Math.min(target, playback.duration) - position;
+            } else if (target <= loopEnd) {
+                distance = target - position;
+            } else {
+                // The playhead wraps to the loop start first, so count on from there.
+                // A loop too short to hold another boundary switches at the wrap.
+                const wrapped = nextBoundary(loopStart + Math.max(0, earliest - loopEnd));
+                distance = loopEnd - position + (wrapped <= loopEnd ? wrapped - loopStart : 0);
+            }
+        }
+        
+        // The current track may itself still be scheduled to start
+        const pending = Math.max(0, playback._sourceStartTime - now);
+        return now + pending + Math.max(0, distance) / playback.rate;
+    }
+    
+    /**
+     * Transition from one music track to another with crossfade
+     * @param {string} newTrackName - Name of the new track to play
+     * @param {number} transitionTime - Transition duration in seconds
+     * @param {Object} options - Options for the new track
+     * @param {string} [options.sync='immediate'] - 'immediate', 'beat', 'bar' or 'end'
+     * @param {string} [options.stinger] - Sound played on the music bus at the switch
+     * @param {string} [options.segment] - Bridge played between the tracks
+     */
+    async transitionMusic(newTrackName, transitionTime = 2.0, options = {}) {
+        const {
+            sync = 'immediate',
+            stinger = null,
+            segment = null,
+            volume = 1.0,
+            bus = 'music',
+            ...trackOptions
+        } = options;
+        
+        if (!['immediate', 'beat', 'bar', 'end'].includes(sync)) {
+            this._reportError(new InvalidArgumentError(`Unknown transition sync "${sync}".`));
+            return false;
+        }
+        
+        // Registered audio, or audio still loading, is waited for
+        await Promise.all([newTrackName, stinger, segment]
+            .filter(audio => audio && !this._resolveAudio(audio))
+            .map(audio => this._loadOnDemand(audio)));
+        
+        if (!this._resolveAudio(newTrackName)) {
+            this._reportError(new AudioNotLoadedError(newTrackName, `Music track "${newTrackName}" not loaded.`));
+            return false;
+        }
+        if (!this._getBusOutput(bus)) return false;
+        
+        // A manual transition takes over from any queued soundtrack
+        this._clearPlaylist();
+        
+        const currentPlaybacks = this._getCurrentMusicPlaybacks();
+        const switchTime = this._getNextSyncTime(sync);
+        let trackStart = switchTime;
+        
+        // A stinger plays over the switch; a segment bridges the two tracks
+        const oneShots = [];
+        if (stinger) {
+            oneShots.push(this._playMusicOneShot(stinger, bus, switchTime));
+        }
+        if (segment) {
+            const bridge = this._playMusicOneShot(segment, bus, switchTime);
+            if (bridge) {
+                trackStart = switchTime + bridge.duration;
+            }
+            oneShots.push(bridge);
+        }
+        
+        // Start new music with fade-in
+        const playback = this.playMusic(newTrackName, {
+            ...trackOptions,
+            fadeIn: segment ? 0 : transitionTime,
+            volume,
+            bus,
+            stopCurrent: false,
+            when: trackStart
+        });
+        
+        // The current music carries on if the new track could not start
+        if (!playback) {
+            oneShots.filter(Boolean).forEach(oneShot => oneShot.stop());
+            return false;
+        }
+        
+        // Fade out current music
+        currentPlaybacks.forEach(playback => playback.stop(transitionTime, switchTime));
+        
+        return true;
+    }
+    
+    /**
+     * Play a non-looping sound on a music bus without making it the current music
+     * @private
+     */
+    _playMusicOneShot(name, bus, when) {
+        const output = this._getBusOutput(bus);
+        if (!output) return null;
+        
+        const playback = this._playAudio(name, output, {
+            loop: false,
+            volume: 1.0,
+            fadeIn: 0,
+            when,
+            bus,
+            type: 'music'
+        });
+        
+        if (playback) {
+            this.activeMusicPlaybacks.add(playback);
+        }
+        return playback;
+    }
+    
+    /**
+     * Render a scripted mix faster than real time on an OfflineAudioContext
+     * @param {number} durationSec - Length of the render in seconds
+     * @param {Function} scriptFn - Called with (audioMark, at): a copy of this instance on the
+     *     offline context, and at(seconds, callback) to run a callback at a time in the render
+     * @param {Object} options - Render options
+     * @param {number} [options.sampleRate] - Sample rate (default: the live context's)
+     * @param {number} [options.numberOfChannels=2] - Number of channels
+     * @param {Function} [options.context] - Called with { numberOfChannels, length, sampleRate }
+     *     to create the offline context, instead of new OfflineAudioContext()
+     * @returns {Promise<AudioBuffer|null>} The rendered audio, or null if rendering failed
+     */
+    async renderOffline(durationSec, scriptFn, options = {}) {
+        if (!this.isInitialized) {
+            this._reportError(new NotInitializedError());
+            return null;
+        }
+        
+        const {
+            sampleRate = this.audioContext.sampleRate,
+            numberOfChannels = 2,
+            context = null
+        } = options;
+        
+        let offline = null;
+        try {
+            const contextOptions = {
+                numberOfChannels,
+                length: Math.max(1, Math.ceil(durationSec * sampleRate)),
+                sampleRate
+            };
+            let offlineContext;
+            if (context) {
+                offlineContext = context(contextOptions);
+            } else if (typeof OfflineAudioContext !== 'undefined') {
+                offlineContext = new OfflineAudioContext(contextOptions);
+            } else {
+                throw new Error('OfflineAudioContext is not available.');
+            }
+            
+            offline = await this._createOfflineCopy(offlineContext);
+            
+            // Scripted actions run while rendering is suspended at their time
+            const actions = [];
+            const at = (time, callback) => {
+                const action = offlineContext.suspend(time).then(async () => {
+                    try {
+                        await callback();
+                    } finally {
+                        offlineContext.resume();
+                    }
+                });
+                // Failures are reported once rendering has finished
+                action.catch(() => {});
+                actions.push(action);
+            };
+            
+            await scriptFn(offline, at);
+            const buffer = await offlineContext.startRendering();
+            await Promise.all(actions);
+            return buffer;
+        } catch (error) {
+            this._reportError(error instanceof AudioMarkError ? error :
+                new AudioMarkError(`Offline rendering failed: ${error.message}`, 'RENDER_FAILED', { cause: error }));
+            return null;
+        } finally {
+            if (offline) offline.cleanup();
+        }
+    }
+    
+    /**
+     * Create an AudioMark on an offline context with this instance's buses,
+     * volumes, effects and decoded audio. Streams and custom effect nodes are
+     * not copied.
+     * @private
+     */
+    async _createOfflineCopy(context) {
+        const offline = new AudioMark({ context });
+        offline.errorMode = this.errorMode;
+        if (this.errorMode === 'event') {
+            offline.on('error', error => this._reportError(error));
+        }
+        
+        // Buses are in definition order, so parents come before children
+        this.buses.forEach(bus => {
+            const copy = offline.buses.get(bus.name) || offline._defineBus(bus.name, bus.parent);
+            copy.muted = bus.muted;
+            copy.soloed = bus.soloed;
+        });
+        offline.volumes = { ...this.volumes };
+        offline.volumeCurve = { ...this.volumeCurve };
+        offline.globalMute = this.globalMute;
+        offline.duckRules = this.duckRules.map(rule => ({ ...rule }));
+        offline.duckRuleCounter = this.duckRuleCounter;
+        offline.snapshots = new Map(this.snapshots);
+        
+        offline.audioBuffers = new Map(this.audioBuffers);
+        offline.audioSprites = new Map(this.audioSprites);
+        offline.trackTempos = new Map(this.trackTempos);
+        offline.soundOptions = new Map(this.soundOptions);
+        offline.maxVoices = this.maxVoices;
+        offline.voicePolicy = this.voicePolicy;
+        offline.listener = JSON.parse(JSON.stringify(this.listener));
+        
+        if (!await offline.initialize()) {
+            throw new Error('The offline context could not be initialized.');
+        }
+        
+        this.buses.forEach(bus => {
+            const chain = offline.buses.get(bus.name).effects;
+            bus.effects.effects
+                .filter(effect => effect.type !== 'custom')
+                .forEach(effect => chain.insert(effect.type, effect.params));
+        });
+        
+        return offline;
+    }
+    
+    /**
+     * Encode audio, such as the result of renderOffline(), as a WAV file
+     * @param {AudioBuffer} audioBuffer - Audio to encode
+     * @param {Object} options - Encoding options
+     * @param {number} [options.bitDepth=16] - 16 for 16-bit PCM, or 32 for 32-bit float
+     * @returns {ArrayBuffer|null} WAV file data
+     */
+    encodeWav(audioBuffer, options = {}) {
+        const { bitDepth = 16 } = options;
+        if (bitDepth !== 16 && bitDepth !== 32) {
+            this._reportError(new InvalidArgumentError(`WAV bit depth must be 16 or 32, not ${bitDepth}.`));
+            return null;
+        }
+        return writeWav(audioBuffer, bitDepth);
+    }
+    
+    /**
+     * Encode audio as a WAV Blob, ready to download or upload
+     * @param {AudioBuffer} audioBuffer - Audio to encode
+     * @param {Object} options - Same as encodeWav()
+     * @returns {Blob|null} WAV file
+     */
+    encodeWavBlob(audioBuffer, options = {}) {
+        const wav = this.encodeWav(audioBuffer, options);
+        return wav ? new Blob([wav], { type: 'audio/wav' }) : null;
+    }
+    
+    /**
+     * Clean up all resources
+     */
+    cleanup() {
+        this.stopAll();
+        
+        if (this.audioContext) {
+            this._detachLifecycle();
+            this.audioContext.onstatechange = null;
+            // An OfflineAudioContext cannot be closed; it ends when rendering does
+            if (!isOfflineContext(this.audioContext)) {
+                this.audioContext.close();
+            }
+            this.audioContext = null;
+            this.contextState = null;
+        }
+        
+        // Bus definitions are kept; their nodes are rebuilt on initialize()
+        this.buses.forEach(bus => {
+            bus.gain = null;
+            bus.effects = null;
+        });
+        this.masterGain = null;
+        this.musicGain = null;
+        this.sfxGain = null;
+        
+        this.audioStreams.forEach((stream, name) => this._releaseAudio(name));
+        this.audioBuffers.clear();
+        this.audioSprites.clear();
+        this.audioGroups.clear();
+        this.assetInfo.clear();
+        this.pendingLoads.clear();
+        this.bufferUsage.clear();
+        this.soundOptions.clear();
+        this.voiceStats = { stolen: 0, rejected: 0 };
+        this.duckState.clear();
+        this.activePlaybacks.clear();
+        this.activeMusicPlaybacks.clear();
+        this._setCurrentMusic(null);
+        this.isInitialized = false;
+        this._emit('statechange', this.getState());
+    }
+    
+    /**
+     * Get current state information
+     */
+    getState() {
+        return {
+            isInitialized: this.isInitialized,
+            audioContextState: this.audioContext ? this.audioContext.state : 'none',
+            lifecycle: this.lifecycle ? {
+                background: Array.from(this.lifecycle.background),
+                awaitingGesture: this.lifecycle.unlocking
+            } : null,
+            loadedAudio: Array.from(this.audioBuffers.keys()),
+            streamedAudio: Array.from(this.audioStreams.keys()),
+            loadedSprites: Array.from(this.audioSprites.keys()),
+            groups: Array.from(this.audioGroups.keys()),
+            registeredAudio: Array.from(this.registeredAudio.keys()),
+            pendingLoads: Array.from(this.pendingLoads.keys()),
+            cacheEnabled: this.cache !== null,
+            memory: this.getMemoryUsage(),
+            activeSources: this.activePlaybacks.size,
+            activeMusicSources: this.activeMusicPlaybacks.size,
+            activeVoices: this.voices.size,
+            stolenVoices: this.voiceStats.stolen,
+            rejectedVoices: this.voiceStats.rejected,
+            currentMusic: this.currentMusic ? this.currentMusic.name : null,
+            musicLayers: this.currentMusic && this.currentMusic.layers ?
+                Array.from(this.currentMusic.layers.keys()) : [],
+            isMusicPaused: this.isMusicPaused,
+            playlist: this.playlist ? {
+                tracks: this.playlist.order.map(index => this.playlist.tracks[index]),
+                position: this.playlist.position,
+                repeat: this.playlist.repeat,
+                shuffle: this.playlist.shuffle
+            } : null,
+            volumes: { ...this.volumes },
+            volumeCurve: this.volumeCurve.curve,
+            globalMute: this.globalMute,
+            buses: Array.from(this.buses.values()).map(bus => ({
+                name: bus.name,
+                parent: bus.parent,
+                muted: bus.muted,
+                soloed: bus.soloed,
+                ducked: this.getDuckLevel(bus.name)
+            })),
+            snapshotStack: this.snapshotStack.map(entry => entry.name)
+        };
+    }
+}
+
+/**
+ * Handle for a single play of a sound, returned by playSFX() and playMusic()
+ *
+ * Each playback owns its own gain node, so it can be faded, paused and
+ * resumed without touching the rest of the mix. Decoded audio plays through
+ * AudioBufferSourceNodes and streamed audio through a StreamSource.
+ */
+export class Playback {
+    constructor(audioMark, options) {
+        this.audioMark = audioMark;
+        this.audioContext = audioMark.audioContext;
+        
+        this.name = options.name;
+        this.type = options.type;
+        this.bus = options.bus || null;
+        this.category = options.category || null;
+        this.buffer = options.buffer;
+        this.stream = options.stream || null;
+        this.region = options.region || null;
+        this.loop = options.loop;
+        
+        // Loop points relative to the start of the played region
+        this.loopStart = Math.max(0, Math.min(options.loopStart || 0, this.duration));
+        this.loopEnd = options.loopEnd ? Math.min(options.loopEnd, this.duration) : this.duration;
+        if (this.loopEnd <= this.loopStart) {
+            this.loopStart = 0;
+            this.loopEnd = this.duration;
+        }
+        
+        this.volume = options.volume;
+        this.priority = options.priority || 0;
+        this.rate = options.rate || 1.0;
+        
+        // 'playing', 'paused', 'stopping' (fading out) or 'stopped'
+        this.state = 'playing';
+        this.startTime = Math.max(options.when || 0, this.audioContext.currentTime);
+        
+        this.source = null;
+        this.gain = this.audioContext.createGain();
+        
+        // Optional spatialisation: a 3D panner for positioned sounds,
+        // or a stereo panner for simple left/right panning
+        const spatial = options.spatial || {};
+        this.panner = null;
+        this.stereoPanner = null;
+        let effectsInput = this.gain;
+        
+        if (spatial.position) {
+            this.panner = this.audioContext.createPanner();
+            this.panner.panningModel = spatial.panningModel || 'HRTF';
+            this.panner.distanceModel = spatial.distanceModel || 'inverse';
+            this.panner.refDistance = spatial.refDistance !== undefined ? spatial.refDistance : 1;
+            this.panner.maxDistance = spatial.maxDistance !== undefined ? spatial.maxDistance : 10000;
+            this.panner.rolloffFactor = spatial.rolloff !== undefined ? spatial.rolloff : 1;
+            this.gain.connect(this.panner);
+            effectsInput = this.panner;
+            this.setPosition(spatial.position);
+        } else if (spatial.pan !== null && spatial.pan !== undefined) {
+            this.stereoPanner = this.audioContext.createStereoPanner();
+            this.gain.connect(this.stereoPanner);
+            effectsInput = this.stereoPanner;
+            this.setPan(spatial.pan);
+        }
+        
+        // Per-play effects sit between the playback's gain (or panner) and its bus
+        this.effects = new EffectChain(audioMark, effectsInput, options.output);
+        (options.effects || []).forEach(({ type, params }) => this.effects.insert(type, params));
+        
+        // Position within the region at the time the current source started
+        this._offset = 0;
+        this._sourceStartTime = 0;
+        
+        // While paused: how long the playback still had to wait before starting,
+        // and a pending stop() to carry on with on resume
+        this._startDelay = 0;
+        this._pausedStop = null;
+        this._scheduledStop = null;
+        
+        this.ended = new Promise(resolve => {
+            this._resolveEnded = resolve;
+        });
+        
+        const startAt = this.startTime;
+        if (options.fadeIn > 0) {
+            this.gain.gain.setValueAtTime(0, startAt);
+            this.gain.gain.linearRampToValueAtTime(this.volume, startAt + options.fadeIn);
+        } else {
+            this.gain.gain.setValueAtTime(this.volume, startAt);
+        }
+    }
+    
+    /**
+     * Length of the played region in seconds
+     */
+    get duration() {
+        if (this.region) return this.region.duration;
+        return this.stream ? this.stream.duration : this.buffer.duration;
+    }
+    
+    /**
+     * Context time at which a non-looping playback will end (Infinity if looping)
+     */
+    get endTime() {
+        if (this.loop) return Infinity;
+        
+        const now = this.audioContext.currentTime;
+        const start = this.state === 'paused' ? now + this._startDelay : Math.max(this._sourceStartTime, now);
+        return start + (this.duration - this.currentTime) / this.rate;
+    }
+    
+    /**
+     * Current position within the played region in seconds
+     */
+    get currentTime() {
+        if (this.state !== 'playing' && this.state !== 'stopping') {
+            return this._offset;
+        }
+        
+        // Scheduled to start in the future
+        if (this.audioContext.currentTime < this._sourceStartTime) {
+            return this._offset;
+        }
+        
+        const elapsed = (this.audioContext.currentTime - this._sourceStartTime) * this.rate;
+        const position = this._offset + elapsed;
+        
+        // Once past the loop end, the playhead wraps back to the loop start
+        if (this.loop && position >= this.loopEnd) {
+            return this.loopStart + (position - this.loopStart) % (this.loopEnd - this.loopStart);
+        }
+        return Math.min(position, this.duration);
+    }
+    
+    /**
+     * Create and start a source node at the given region offset
+     * @private
+     */
+    _start(offset, when = 0) {
+        let source;
+        if (this.stream) {
+            source = new StreamSource(this.audioContext, this.stream);
+            source.onerror = error => {
+                if (this.source !== source) return;
+                this._finish();
+                this.audioMark._reportAsyncError(new PlaybackError(this.name, error));
+            };
+        } else {
+            source = this.audioContext.createBufferSource();
+            source.buffer = this.buffer;
+        }
+        source.loop = this.loop;
+        source.playbackRate.value = this.rate;
+        
+        // Loop points are relative to the region, so sprite loops stay inside it
+        const regionStart = this.region ? this.region.start : 0;
+        source.loopStart = regionStart + this.loopStart;
+        source.loopEnd = regionStart + this.loopEnd;
+        
+        source.connect(this.gain);
+        source.onended = () => {
+            if (this.source === source) {
+                this._finish();
+            }
+        };
+        
+        const startAt = Math.max(when, this.audioContext.currentTime);
+        if (this.loop || !this.region) {
+            source.start(startAt, regionStart + offset);
+        } else {
+            source.start(startAt, regionStart + offset, Math.max(0, this.duration - offset));
+        }
+        
+        this.source = source;
+        this._offset = offset;
+        this._sourceStartTime = startAt;
+    }
+    
+    /**
+     * Stop the current source node without finishing the playback
+     * @private
+     */
+    _stopSource() {
+        if (!this.source) return;
+        
+        const source = this.source;
+        this.source = null;
+        source.onended = null;
+        try {
+            source.stop();
+        } catch (e) {
+            // Source may already be stopped
+        }
+        source.disconnect();
+    }
+    
+    /**
+     * Mark the playback as finished and release its nodes
+     * @private
+     */
+    _finish() {
+        if (this.state === 'stopped') return;
+        
+        this._offset = this.currentTime;
+        this._stopSource();
+        this.gain.disconnect();
+        this.effects._disconnect();
+        if (this.panner) this.panner.disconnect();
+        if (this.stereoPanner) this.stereoPanner.disconnect();
+        this.state = 'stopped';
+        
+        this.audioMark._onPlaybackEnded(this);
+        this._resolveEnded();
+    }
+    
+    /**
+     * Stop playback, optionally fading out first
+     * @param {number} fade - Fade-out duration in seconds
+     * @param {number} when - Context time to start the fade at (default: now)
+     */
+    stop(fade = 0, when = 0) {
+        if (this.state === 'stopped') return;
+        
+        const now = this.audioContext.currentTime;
+        const stopAt = Math.max(now, when);
+        
+        if ((fade > 0 || stopAt > now) && this.source) {
+            this._scheduleStop(stopAt, fade, stopAt > now ? this.volume : this.gain.gain.value);
+            return;
+        }
+        
+        this._finish();
+    }
+    
+    /**
+     * Fade out from a level and stop the source at a context time
+     * @private
+     */
+    _scheduleStop(stopAt, fade, level) {
+        if (fade > 0) {
+            this.gain.gain.cancelScheduledValues(stopAt);
+            this.gain.gain.setValueAtTime(level, stopAt);
+            this.gain.gain.linearRampToValueAtTime(0, stopAt + fade);
+        }
+        
+        // The source's onended finishes the playback once the fade is done
+        this.state = 'stopping';
+        this._scheduledStop = { stopAt, fade, level };
+        this.source.stop(stopAt + fade);
+    }
+    
+    /**
+     * Pause playback, keeping the position for resume(). A playback that has
+     * not started yet keeps the rest of its wait, and one that is scheduled
+     * to stop or fading out carries on with that after resuming.
+     * @returns {boolean} true if the playback was paused
+     */
+    pause() {
+        if (this.state !== 'playing' && this.state !== 'stopping') return false;
+        
+        const now = this.audioContext.currentTime;
+        this._startDelay = Math.max(0, this._sourceStartTime - now);
+        this._pausedStop = null;
+        
+        if (this.state === 'stopping') {
+            const { stopAt, fade, level } = this._scheduledStop;
+            if (now < stopAt) {
+                this._pausedStop = { delay: stopAt - now, fade, level };
+            } else {
+                // Part way through the fade: keep the rest of it, from the level reached
+                const remaining = Math.max(0, stopAt + fade - now);
+                this._pausedStop = { delay: 0, fade: remaining, level: fade > 0 ? level * remaining / fade : level };
+            }
+        }
+        
+        this._offset = this.currentTime;
+        this._stopSource();
+        this.state = 'paused';
+        this.audioMark._updateDucking();
+        return true;
+    }
+    
+    /**
+     * Resume a paused playback from where it was paused
+     * @param {number} when - Context time to resume at (default: now)
+     * @returns {boolean} true if the playback was resumed
+     */
+    resume(when = 0) {
+        if (this.state !== 'paused') return false;
+        
+        const resumeAt = Math.max(when, this.audioContext.currentTime);
+        this.state = 'playing';
+        this._start(this._offset, resumeAt + this._startDelay);
+        this._startDelay = 0;
+        
+        if (this._pausedStop) {
+            const { delay, fade, level } = this._pausedStop;
+            this._pausedStop = null;
+            this.gain.gain.cancelScheduledValues(resumeAt);
+            this.gain.gain.setValueAtTime(level, resumeAt);
+            this._scheduleStop(resumeAt + delay, fade, level);
+        }
+        
+        this.audioMark._updateDucking();
+        return true;
+    }
+    
+    /**
+     * Move the start of a playback that has not started yet
+     * @private
+     */
+    _reschedule(when) {
+        if (this.state === 'paused') {
+            this._startDelay = Math.max(0, when - this.audioContext.currentTime);
+        } else if (this.state === 'playing') {
+            this._stopSource();
+            this._start(this._offset, when);
+        }
+    }
+    
+    /**
+     * Set the volume of this playback
+     * @param {number} volume - Volume multiplier 0.0-1.0
+     * @param {number} rampSec - Ramp duration in seconds
+     */
+    setVolume(volume, rampSec = 0) {
+        if (this.state === 'stopped' || this.state === 'stopping') return;
+        
+        const now = this.audioContext.currentTime;
+        this.volume = volume;
+        this.gain.gain.cancelScheduledValues(now);
+        
+        if (rampSec > 0) {
+            this.gain.gain.setValueAtTime(this.gain.gain.value, now);
+            this.gain.gain.linearRampToValueAtTime(volume, now + rampSec);
+        } else {
+            this.gain.gain.setValueAtTime(volume, now);
+        }
+    }
+    
+    /**
+     * Set the playback rate (1.0 is normal speed, also changes pitch)
+     * @param {number} rate - Playback rate
+     */
+    setRate(rate) {
+        if (rate <= 0) return;
+        
+        // Re-anchor the position so currentTime stays correct across rate changes.
+        // A source scheduled for later keeps its start time.
+        if (this.source) {
+            const now = this.audioContext.currentTime;
+            if (now >= this._sourceStartTime) {
+                this._offset = this.currentTime;
+                this._sourceStartTime = now;
+            }
+            this.source.playbackRate.setValueAtTime(rate, now);
+        }
+        this.rate = rate;
+    }
+    
+    /**
+     * Move a positioned sound. Only works for plays started with a position.
+     * @param {Object} position - { x, y, z }; omitted axes are kept
+     * @returns {boolean} true if the position was set
+     */
+    setPosition(position) {
+        if (!this.panner) return false;
+        
+        this.position = { ...(this.position || { x: 0, y: 0, z: 0 }), ...position };
+        const { x, y, z } = this.position;
+        
+        if (this.panner.positionX) {
+            setVectorParams(this.panner, 'position', this.position, this.audioContext.currentTime);
+        } else {
+            this.panner.setPosition(x, y, z);
+        }
+        return true;
+    }
+    
+    /**
+     * Set the stereo pan. Only works for plays started with a pan.
+     * @param {number} pan - Pan from -1 (left) to 1 (right)
+     * @returns {boolean} true if the pan was set
+     */
+    setPan(pan) {
+        if (!this.stereoPanner) return false;
+        
+        this.pan = Math.max(-1, Math.min(1, pan));
+        this.stereoPanner.pan.setValueAtTime(this.pan, this.audioContext.currentTime);
+        return true;
+    }
+    
+    /**
+     * Jump to a position within the played region
+     * @param {number} seconds - Position in seconds
+     */
+    seek(seconds) {
+        const offset = Math.max(0, Math.min(seconds, this.duration));
+        
+        if (this.state === 'paused') {
+            this._offset = offset;
+        } else if (this.state === 'playing') {
+            // A playback that has not started yet keeps its start time
+            this._stopSource();
+            this._start(offset, this._sourceStartTime);
+        }
+    }
+}
+
+/**
+ * Persistent store of fetched audio files in IndexedDB. File data and the
+ * small per-file info records are kept in separate stores, so usage can be
+ * reported without reading every file back into memory.
+ */
+class AudioCache {
+    constructor(indexedDB, name) {
+        this.indexedDB = indexedDB;
+        this.name = name;
+        this._db = null;
+    }
+    
+    /**
+     * Open the database once, creating its stores on first use
+     * @private
+     */
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.name, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('files', { keyPath: 'url' });
+                    request.result.createObjectStore('info', { keyPath: 'url' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            
+            // Let a later call try again if opening failed
+            this._db.catch(() => {
+                this._db = null;
+            });
+        }
+        return this._db;
+    }
+    
+    /**
+     * Run a transaction over both stores
+     * @private
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Called with the transaction; may return a request whose result is wanted
+     */
+    async _transaction(mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['files', 'info'], mode);
+            const request = operation(transaction);
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    /**
+     * Get a file's bytes, if the cached copy is the wanted version
+     */
+    async get(url, version) {
+        const record = await this._transaction('readonly', transaction => transaction.objectStore('files').get(url));
+        return record && record.version === version ? record.data : null;
+    }
+    
+    /**
+     * Store a file's bytes, replacing any other version
+     */
+    put(url, version, data) {
+        return this._transaction('readwrite', transaction => {
+            transaction.objectStore('files').put({ url, version, data });
+            transaction.objectStore('info').put({ url, version, bytes: data.byteLength, storedAt: Date.now() });
+        });
+    }
+    
+    clear() {
+        return this._transaction('readwrite', transaction => {
+            transaction.objectStore('files').clear();
+            transaction.objectStore('info').clear();
+        });
+    }
+    
+    /**
+     * Count the cached files and their total size
+     */
+    async getUsage() {
+        const records = await this._transaction('readonly', transaction => transaction.objectStore('info').getAll());
+        return {
+            entries: records.length,
+            bytes: records.reduce((total, record) => total + record.bytes, 0)
+        };
+    }
+    
+    close() {
+        if (this._db) {
+            this._db.then(db => db.close(), () => {});
+            this._db = null;
+        }
+    }
+}
+
+/**
+ * Plays a streamed asset through an <audio> element and a
+ * MediaElementAudioSourceNode, with the parts of the AudioBufferSourceNode
+ * interface that Playback uses. Media elements only loop the whole file, and
+ * start and stop times are kept with timers, so they are not sample-accurate.
+ */
+class StreamSource {
+    constructor(audioContext, stream) {
+        this.audioContext = audioContext;
+        this.onended = null;
+        this.onerror = null;
+        this._startTimer = null;
+        this._stopTimer = null;
+        
+        const element = new Audio();
+        element.crossOrigin = 'anonymous';
+        element.preservesPitch = false;   // Rate changes pitch, as with decoded audio
+        element.src = stream.url;
+        element.onended = () => this._end();
+        element.onerror = () => {
+            if (this.onerror) this.onerror(element.error);
+        };
+        this.element = element;
+        this.node = audioContext.createMediaElementSource(element);
+        
+        // Stands in for the playbackRate AudioParam
+        this.playbackRate = {
+            get value() {
+                return element.playbackRate;
+            },
+            set value(rate) {
+                element.playbackRate = rate;
+            },
+            setValueAtTime(rate) {
+                element.playbackRate = rate;
+            }
+        };
+    }
+    
+    get loop() {
+        return this.element.loop;
+    }
+    
+    set loop(loop) {
+        this.element.loop = loop;
+    }
+    
+    connect(destination) {
+        return this.node.connect(destination);
+    }
+    
+    start(when = 0, offset = 0) {
+        this.element.currentTime = offset;
+        this._startTimer = this._schedule(when, () => {
+            this.element.play().catch(error => {
+                if (this.onerror) this.onerror(error);
+            });
+        });
+    }
+    
+    stop(when = 0) {
+        clearTimeout(this._stopTimer);
+        this._stopTimer = this._schedule(when, () => this._end());
+    }
+    
+    disconnect() {
+        this._end();
+        this.node.disconnect();
+        this.element.onended = null;
+        this.element.onerror = null;
+        this.element.removeAttribute('src');
+        this.element.load();
+    }
+    
+    /**
+     * Run a callback at a context time, or now if that has passed
+     * @private
+     */
+    _schedule(when, callback) {
+        const delay = (when - this.audioContext.currentTime) * 1000;
+        if (delay > 0) {
+            return setTimeout(callback, delay);
+        }
+        callback();
+        return null;
+    }
+    
+    /**
+     * Stop the element and report the end once, like a source node's onended
+     * @private
+     */
+    _end() {
+        clearTimeout(this._startTimer);
+        clearTimeout(this._stopTimer);
+        this.element.pause();
+        
+        const onended = this.onended;
+        this.onended = null;
+        if (onended) onended();
+    }
+}
+
+/**
+ * Whether a failed load is worth retrying: network errors, timeouts,
+ * rate limiting and server errors are; missing files and bad data are not
+ * @param {Error} error - Load failure
+ */
+function isRetryableLoadError(error) {
+    if (!(error instanceof FetchError)) return false;
+    if (!error.status) return true;
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+}
+
+/**
+ * Whether a context is an OfflineAudioContext (or a stand-in for one)
+ * @param {BaseAudioContext} context - Audio context
+ */
+function isOfflineContext(context) {
+    return typeof context.startRendering === 'function';
+}
+
+/**
+ * Whether a source is a fetch() Response
+ * @param {*} source - Audio source
+ */
+function isResponse(source) {
+    return typeof Response !== 'undefined' && source instanceof Response;
+}
+
+/**
+ * Copy the bytes of an in-memory source into a new ArrayBuffer. Sources are
+ * copied because decodeAudioData() detaches the buffer it is given.
+ * @param {ArrayBuffer|ArrayBufferView|Blob} source - Encoded audio
+ */
+async function readBytes(source) {
+    if (source instanceof ArrayBuffer) {
+        return source.slice(0);
+    }
+    if (ArrayBuffer.isView(source)) {
+        return source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength);
+    }
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+        return source.arrayBuffer();
+    }
+    throw new InvalidArgumentError('Audio source must be a URL, ArrayBuffer, typed array, Blob or Response.');
+}
+
+/**
+ * Lower-case file extension of a URL, ignoring any query or fragment
+ * @param {string} url - File URL
+ */
+function getExtension(url) {
+    const path = url.split(/[?#]/)[0];
+    const dot = path.lastIndexOf('.');
+    return dot === -1 ? '' : path.slice(dot + 1).toLowerCase();
+}
+
+/**
+ * Size in bytes of a decoded buffer (32-bit float samples)
+ * @param {AudioBuffer} buffer - Decoded audio
+ */
+function getBufferBytes(buffer) {
+    return buffer.numberOfChannels * buffer.length * 4;
+}
+
+/**
+ * Resolve after a delay, or early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+function wait(ms, signal) {
+    return new Promise(resolve => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+/**
+ * Random permutation of 0..length-1 (Fisher-Yates)
+ * @param {number} length - Number of items
+ */
+function shuffleOrder(length) {
+    const order = Array.from({ length }, (value, index) => index);
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+}
+
+/**
+ * Set the X/Y/Z AudioParams of a PannerNode or AudioListener vector
+ * @param {PannerNode|AudioListener} target - Node with e.g. positionX/Y/Z params
+ * @param {string} prefix - 'position', 'forward' or 'up'
+ * @param {Object} vector - { x, y, z }
+ * @param {number} time - Context time to apply the values at
+ */
+function setVectorParams(target, prefix, vector, time) {
+    target[`${prefix}X`].setValueAtTime(vector.x, time);
+    target[`${prefix}Y`].setValueAtTime(vector.y, time);
+    target[`${prefix}Z`].setValueAtTime(vector.z, time);
+}
+
+/**
+ * Move an AudioParam to a value, at once or along a ramp starting now,
+ * replacing any automation in progress. Exponential ramps cannot reach
+ * zero, so they fade to silence and then drop to it.
+ * @param {AudioParam} param - Parameter to automate
+ * @param {number} target - Value to end at
+ * @param {number} now - Current context time
+ * @param {number} rampSec - Ramp duration in seconds, 0 to set at once
+ * @param {string} curve - 'linear' or 'exponential'
+ */
+function rampParam(param, target, now, rampSec = 0, curve = 'linear') {
+    param.cancelScheduledValues(now);
+    if (rampSec <= 0) {
+        param.setValueAtTime(target, now);
+        return;
+    }
+    
+    const start = param.value;
+    param.setValueAtTime(start, now);
+    if (curve === 'exponential' && start > 0 && target >= 0) {
+        param.exponentialRampToValueAtTime(Math.max(target, SILENCE), now + rampSec);
+        if (target < SILENCE) {
+            param.setValueAtTime(target, now + rampSec);
+        }
+    } else {
+        param.linearRampToValueAtTime(target, now + rampSec);
+    }
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns numbers from 0 (inclusive) to 1 (exclusive)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
+
+/**
+ * Render synth parameters (see SYNTH_DEFAULTS) to mono samples. The sound
+ * lasts for its envelope, and goes silent early if a slide takes the
+ * frequency below minFrequency.
+ * @param {Object} params - Complete synth parameters
+ * @param {number} sampleRate - Sample rate in Hz
+ */
+function renderSynth(params, sampleRate) {
+    const { attack, decay, sustain, hold, release } = params;
+    const length = Math.max(1, Math.ceil((attack + decay + hold + release) * sampleRate));
+    const samples = new Float32Array(length);
+    const random = createRandom(params.seed);
+    const levels = params.bits > 0 ? Math.pow(2, params.bits - 1) : 0;
+    const downsample = Math.max(1, Math.round(params.downsample));
+    
+    const envelope = t => {
+        if (t < attack) return t / attack;
+        t -= attack;
+        if (t < decay) return 1 - (1 - sustain) * t / decay;
+        t -= decay;
+        if (t < hold) return sustain;
+        t -= hold;
+        return t < release ? sustain * (1 - t / release) : 0;
+    };
+    
+    let phase = 0;
+    let noiseStep = -1;
+    let noiseValue = 0;
+    let held = 0;
+    
+    for (let i = 0; i < length; i++) {
+        const t = i / sampleRate;
+        
+        let frequency = params.frequency * Math.pow(2, params.slide * t);
+        if (params.changeAt > 0 && t >= params.changeAt) {
+            frequency *= params.changeRatio;
+        }
+        if (frequency < params.minFrequency) break;
+        frequency *= 1 + params.vibratoDepth * Math.sin(2 * Math.PI * params.vibratoRate * t);
+        
+        phase = (phase + frequency / sampleRate) % 1;
+        
+        // Noise holds each random value for 1/32 of a cycle, so its pitch follows the frequency
+        const step = Math.floor(phase * 32);
+        if (step !== noiseStep) {
+            noiseStep = step;
+            noiseValue = random() * 2 - 1;
+        }
+        
+        let sample;
+        switch (params.wave) {
+            case 'square':
+                sample = phase < params.duty ? 1 : -1;
+                break;
+            case 'sawtooth':
+                sample = 2 * phase - 1;
+                break;
+            case 'triangle':
+                sample = 1 - 4 * Math.abs(phase - 0.5);
+                break;
+            case 'sine':
+                sample = Math.sin(2 * Math.PI * phase);
+                break;
+            default:
+                sample = noiseValue;
+        }
+        if (params.noise > 0) {
+            sample = sample * (1 - params.noise) + (random() * 2 - 1) * params.noise;
+        }
+        sample *= envelope(t) * params.volume;
+        
+        // Bit crushing: hold samples to lower the rate, then quantise
+        if (i % downsample === 0) {
+            held = sample;
+        }
+        samples[i] = levels ? Math.round(held * levels) / levels : held;
+    }
+    
+    return samples;
+}
+
+/**
+ * Write a WAV file: 16-bit integer PCM, or 32-bit IEEE float, which also
+ * needs the extended format chunk and a fact chunk
+ * @param {AudioBuffer} audioBuffer - Audio to encode
+ * @param {number} bitDepth - 16 or 32
+ */
+function writeWav(audioBuffer, bitDepth) {
+    const { numberOfChannels, sampleRate, length } = audioBuffer;
+    const float = bitDepth === 32;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numberOfChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+    const formatSize = float ? 18 : 16;
+    const headerSize = 12 + (8 + formatSize) + (float ? 12 : 0) + 8;
+    
+    const view = new DataView(new ArrayBuffer(headerSize + dataSize));
+    let position = 0;
+    const writeString = text => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(position++, text.charCodeAt(i));
+        }
+    };
+    const writeUint32 = value => {
+        view.setUint32(position, value, true);
+        position += 4;
+    };
+    const writeUint16 = value => {
+        view.setUint16(position, value, true);
+        position += 2;
+    };
+    
+    writeString('RIFF');
+    writeUint32(headerSize + dataSize - 8);
+    writeString('WAVE');
+    
+    writeString('fmt ');
+    writeUint32(formatSize);
+    writeUint16(float ? 3 : 1);   // WAVE_FORMAT_IEEE_FLOAT or WAVE_FORMAT_PCM
+    writeUint16(numberOfChannels);
+    writeUint32(sampleRate);
+    writeUint32(sampleRate * blockAlign);
+    writeUint16(blockAlign);
+    writeUint16(bitDepth);
+    if (float) {
+        writeUint16(0);
+        writeString('fact');
+        writeUint32(4);
+        writeUint32(length);
+    }
+    
+    writeString('data');
+    writeUint32(dataSize);
+    
+    // Samples are interleaved: one frame holds every channel's sample
+    const channels = Array.from({ length: numberOfChannels }, (value, channel) => audioBuffer.getChannelData(channel));
+    for (let i = 0; i < length; i++) {
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            const sample = channels[channel][i];
+            if (float) {
+                view.setFloat32(position, sample, true);
+            } else {
+                const clamped = Math.max(-1, Math.min(1, sample));
+                view.setInt16(position, Math.round(clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF), true);
+            }
+            position += bytesPerSample;
+        }
+    }
+    
+    return view.buffer;
+}
+
+/**
+ * Build a soft-clipping curve for the 'waveshaper' effect
+ * @param {number} amount - Distortion amount, 0 for none
+ */
+function makeDistortionCurve(amount, samples = 44100) {
+    const curve = new Float32Array(samples);
+    const k = Math.max(0, amount);
+    
+    for (let i = 0; i < samples; i++) {
+        const x = (i * 2) / samples - 1;
+        curve[i] = ((3 + k) * x * 20 * (Math.PI / 180)) / (Math.PI + k * Math.abs(x));
+    }
+    return curve;
+}
+
+/**
+ * A single effect: a Web Audio node wrapped with a wet/dry mix
+ *
+ * Built-in types are 'filter' (BiquadFilterNode), 'convolver' (ConvolverNode),
+ * 'delay' (DelayNode), 'compressor' (DynamicsCompressorNode) and
+ * 'waveshaper' (WaveShaperNode). Any other AudioNode can be passed instead.
+ */
+export class Effect {
+    constructor(audioMark, type, params = {}) {
+        this.audioMark = audioMark;
+        this.audioContext = audioMark.audioContext;
+        
+        if (typeof type === 'string') {
+            this.type = type;
+            this.node = Effect._createNode(this.audioContext, type, params);
+        } else {
+            this.type = 'custom';
+            this.node = type;
+        }
+        
+        // input -> node -> wet -> output, and input -> dry -> output
+        this.input = this.audioContext.createGain();
+        this.output = this.audioContext.createGain();
+        this.wet = this.audioContext.createGain();
+        this.dry = this.audioContext.createGain();
+        
+        this.input.connect(this.node);
+        this.node.connect(this.wet);
+        this.wet.connect(this.output);
+        this.input.connect(this.dry);
+        this.dry.connect(this.output);
+        
+        this.mix = 1.0;
+        this.wet.gain.value = 1.0;
+        this.dry.gain.value = 0;
+        
+        // Last value set for each parameter, so the effect can be recreated
+        this.params = {};
+        
+        Object.entries(params).forEach(([param, value]) => this.set(param, value));
+    }
+    
+    /**
+     * Create the Web Audio node for a built-in effect type
+     * @private
+     */
+    static _createNode(audioContext, type, params) {
+        switch (type) {
+            case 'filter':
+                return audioContext.createBiquadFilter();
+            case 'convolver':
+                return audioContext.createConvolver();
+            case 'delay':
+                return audioContext.createDelay(Math.max(1, params.maxDelayTime || 0, params.delayTime || 0));
+            case 'compressor':
+                return audioContext.createDynamicsCompressor();
+            case 'waveshaper':
+                return audioContext.createWaveShaper();
+            default:
+                throw new InvalidArgumentError(`Unknown effect type "${type}".`);
+        }
+    }
+    
+    /**
+     * Set an effect parameter, optionally ramping AudioParams over time
+     *
+     * Besides the node's own parameters and properties, 'mix' sets the
+     * wet/dry balance (0-1), 'impulse' takes the name of loaded audio for a
+     * convolver, and 'amount' builds a distortion curve for a waveshaper.
+     * @param {string} param - Parameter name
+     * @param {*} value - New value
+     * @param {number} rampSec - Ramp duration in seconds (AudioParams only)
+     * @param {string} curve - Ramp shape, 'linear' or 'exponential'
+     */
+    set(param, value, rampSec = 0, curve = 'linear') {
+        const now = this.audioContext.currentTime;
+        this.params[param] = value;
+        const ramp = (audioParam, target) => rampParam(audioParam, target, now, rampSec, curve);
+        
+        if (param === 'mix') {
+            this.mix = Math.max(0, Math.min(1, value));
+            ramp(this.wet.gain, this.mix);
+            ramp(this.dry.gain, 1 - this.mix);
+        } else if (param === 'impulse') {
+            const buffer = typeof value === 'string' ? this.audioMark.audioBuffers.get(value) : value;
+            if (!buffer) {
+                this.audioMark._reportError(new AudioNotLoadedError(value, `Impulse response "${value}" not loaded.`));
+                return;
+            }
+            this.node.buffer = buffer;
+        } else if (param === 'amount' && this.type === 'waveshaper') {
+            this.node.curve = makeDistortionCurve(value);
+        } else if (param === 'maxDelayTime') {
+            // Only used when creating the delay node
+        } else if (this.node[param] && typeof this.node[param].setValueAtTime === 'function') {
+            ramp(this.node[param], value);
+        } else {
+            this.node[param] = value;
+        }
+    }
+    
+    /**
+     * Get the current value of an effect parameter
+     * @param {string} param - Parameter name
+     */
+    get(param) {
+        if (param === 'mix') return this.mix;
+        
+        const value = this.node[param];
+        return value && typeof value.setValueAtTime === 'function' ? value.value : value;
+    }
+    
+    /**
+     * Disconnect all of the effect's nodes
+     * @private
+     */
+    _disconnect() {
+        [this.input, this.node, this.wet, this.dry, this.output].forEach(node => node.disconnect());
+    }
+}
+
+/**
+ * An ordered chain of effects between an input node and an output node
+ */
+export class EffectChain {
+    constructor(audioMark, input, output) {
+        this.audioMark = audioMark;
+        this.input = input;
+        this.output = output;
+        this.effects = [];
+        
+        this._rewire();
+    }
+    
+    /**
+     * Insert an effect into the chain
+     * @param {string|AudioNode} type - Built-in effect type or an AudioNode
+     * @param {Object} params - Initial effect parameters
+     * @param {number} index - Position in the chain (default: end)
+     * @returns {Effect|null}
+     */
+    insert(type, params = {}, index = this.effects.length) {
+        try {
+            const effect = new Effect(this.audioMark, type, params);
+            this.effects.splice(Math.max(0, Math.min(index, this.effects.length)), 0, effect);
+            this._rewire();
+            return effect;
+        } catch (error) {
+            this.audioMark._reportError(error instanceof AudioMarkError ? error :
+                new AudioMarkError(`Failed to add effect: ${error.message}`, 'EFFECT_FAILED', { cause: error }));
+            return null;
+        }
+    }
+    
+    /**
+     * Remove an effect from the chain
+     * @param {Effect} effect - Effect to remove
+     */
+    remove(effect) {
+        const index = this.effects.indexOf(effect);
+        if (index === -1) return false;
+        
+        this.effects.splice(index, 1);
+        effect._disconnect();
+        this._rewire();
+        return true;
+    }
+    
+    /**
+     * Move an effect to a new position in the chain
+     * @param {Effect} effect - Effect to move
+     * @param {number} index - New position
+     */
+    move(effect, index) {
+        const current = this.effects.indexOf(effect);
+        if (current === -1) return false;
+        
+        this.effects.splice(current, 1);
+        this.effects.splice(Math.max(0, Math.min(index, this.effects.length)), 0, effect);
+        this._rewire();
+        return true;
+    }
+    
+    /**
+     * Find the first effect of a type
+     * @param {string} type - Effect type
+     * @returns {Effect|null}
+     */
+    get(type) {
+        return this.effects.find(effect => effect.type === type) || null;
+    }
+    
+    /**
+     * Remove all effects
+     */
+    clear() {
+        this.effects.forEach(effect => effect._disconnect());
+        this.effects = [];
+        this._rewire();
+    }
+    
+    /**
+     * Connect input -> effects -> output in order
+     * @private
+     */
+    _rewire() {
+        this.input.disconnect();
+        this.effects.forEach(effect => effect.output.disconnect());
+        
+        let previous = this.input;
+        this.effects.forEach(effect => {
+            previous.connect(effect.input);
+            previous = effect.output;
+        });
+        previous.connect(this.output);
+    }
+    
+    /**
+     * Disconnect the chain and all of its effects
+     * @private
+     */
+    _disconnect() {
+        this.input.disconnect();
+        this.effects.forEach(effect => effect._disconnect());
+    }
+}
+
+/**
+ * In-memory settings storage with the localStorage interface, for tests
+ * and for environments without localStorage
+ */
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+    
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+    
+    removeItem(key) {
+        this.items.delete(key);
+    }
+    
+    clear() {
+        this.items.clear();
     }
-}
\ No newline at end of file
+}
@@ -13,6 +13,7 @@ class AudioMarkTester {
         
         this.initializeUI();
         this.bindEvents();
+        this.bindAudioMarkEvents();
         this.log('AudioMark Tester initialized', 'info');
     }
     
@@ -129,6 +130,15 @@ class AudioMarkTester {
         setInterval(() => this.updateStatus(), 1000);
     }
     
+    bindAudioMarkEvents() {
+        this.audioMark.on('error', (error) => this.log(`${error.code}: ${error.message}`, 'error'));
+        this.audioMark.on('musicchange', ({ name }) => {
+            if (name) {
+                this.log(`Now playing: ${name}`, 'info');
+            }
+        });
+    }
+    
     async initializeAudioMark() {
         this.log('Initializing AudioMark...', 'info');
         this.elements.initBtn.disabled = true;
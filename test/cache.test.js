@@ -0,0 +1,82 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+
+import { AudioMark } from '../audio.js';
+import { MockAudioContext, createFetch } from './webaudio-mock.js';
+
+const originalFetch = globalThis.fetch;
+let indexedDB;
+
+// Cache writes are not awaited by loadAudio, so give them time to land
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+async function createAudioMark() {
+    const audioMark = new AudioMark({ context: new MockAudioContext() });
+    await audioMark.initialize();
+    audioMark.enableCache({ indexedDB });
+    return audioMark;
+}
+
+beforeEach(() => {
+    indexedDB = new IDBFactory();
+    globalThis.fetch = createFetch({ 'theme.mp3': 2, 'jump.wav': 1 });
+});
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+test('a second session loads from the cache', async () => {
+    const first = await createAudioMark();
+    await first.loadAudio('theme', 'theme.mp3', { version: '1' });
+    await settle();
+    first.disableCache();
+    
+    const second = await createAudioMark();
+    assert.equal(await second.loadAudio('theme', 'theme.mp3', { version: '1' }), true);
+    assert.equal(second.audioBuffers.get('theme').duration, 2);
+    assert.deepEqual(globalThis.fetch.requests, ['theme.mp3']);
+});
+
+test('a new version is fetched and replaces the old one', async () => {
+    const audioMark = await createAudioMark();
+    await audioMark.loadAudio('theme', 'theme.mp3', { version: '1' });
+    await settle();
+    await audioMark.loadAudio('theme', 'theme.mp3', { version: '2' });
+    await settle();
+    
+    assert.equal(globalThis.fetch.requests.length, 2);
+    assert.deepEqual(await audioMark.getCacheUsage(), { entries: 1, bytes: 2000, usage: null, quota: null });
+});
+
+test('cache: false bypasses the cache', async () => {
+    const audioMark = await createAudioMark();
+    await audioMark.loadAudio('jump', 'jump.wav', { cache: false });
+    await settle();
+    
+    assert.equal((await audioMark.getCacheUsage()).entries, 0);
+});
+
+test('clearCache empties the cache', async () => {
+    const audioMark = await createAudioMark();
+    await audioMark.loadManifest({
+        theme: { url: 'theme.mp3', version: 'a1' },
+        jump: 'jump.wav'
+    });
+    await settle();
+    assert.equal((await audioMark.getCacheUsage()).entries, 2);
+    
+    assert.equal(await audioMark.clearCache(), true);
+    assert.equal((await audioMark.getCacheUsage()).entries, 0);
+});
+
+test('enableCache fails without IndexedDB', async () => {
+    const audioMark = new AudioMark({ context: new MockAudioContext() });
+    const errors = [];
+    audioMark.on('error', error => errors.push(error.code));
+    
+    assert.equal(audioMark.enableCache(), false);
+    assert.deepEqual(errors, ['CACHE_UNAVAILABLE']);
+    assert.equal(await audioMark.getCacheUsage(), null);
+});
@@ -0,0 +1,108 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioMark, InvalidArgumentError } from '../audio.js';
+import { MockAudioContext, encodeAudio } from './webaudio-mock.js';
+
+let audioMark;
+let context;
+
+// Linear gain of a level in dB
+const gain = dB => Math.pow(10, dB / 20);
+
+beforeEach(async () => {
+    context = new MockAudioContext();
+    audioMark = new AudioMark({ context });
+    await audioMark.initialize();
+    audioMark.createBus('voice', { parent: 'master' });
+    await audioMark.loadAudio('line', encodeAudio(2));
+    await audioMark.loadAudio('theme', encodeAudio(8));
+    audioMark.playMusic('theme');
+});
+
+test('a trigger ducks the target, which recovers when it ends', () => {
+    const events = [];
+    audioMark.on('duck', event => events.push(event));
+    audioMark.duck({ trigger: 'voice', target: 'music', amount: -12, attack: 0.2, release: 1 });
+    
+    audioMark.playSFX('line', { bus: 'voice' });
+    assert.equal(audioMark.getDuckLevel('music'), -12);
+    assert.deepEqual(audioMark.musicGain.gain.events.at(-1), { type: 'linear', value: gain(-12), time: 0.2 });
+    
+    context.advance(2);
+    assert.equal(audioMark.getDuckLevel('music'), 0);
+    assert.deepEqual(audioMark.musicGain.gain.events.at(-1), { type: 'linear', value: 1, time: 3 });
+    assert.deepEqual(events, [
+        { bus: 'music', amount: -12 },
+        { bus: 'music', amount: 0 }
+    ]);
+});
+
+test('volume changes during a duck keep the duck', () => {
+    audioMark.duck({ trigger: 'voice', target: 'music', amount: -6 });
+    audioMark.playSFX('line', { bus: 'voice' });
+    
+    audioMark.setVolume('music', 50);
+    assert.equal(audioMark.musicGain.gain.value, 0.5 * gain(-6));
+    assert.equal(audioMark.getVolume('music'), 50);
+    
+    context.advance(2);
+    assert.equal(audioMark.musicGain.gain.value, 0.5);
+});
+
+test('plays trigger by category and through child buses', () => {
+    audioMark.createBus('radio', { parent: 'voice' });
+    audioMark.duck({ trigger: 'dialogue', target: 'music' });
+    audioMark.duck({ trigger: 'voice', target: 'sfx' });
+    
+    audioMark.playSFX('line', { category: 'dialogue' });
+    assert.equal(audioMark.getDuckLevel('music'), -12);
+    assert.equal(audioMark.getDuckLevel('sfx'), 0);
+    
+    audioMark.playSFX('line', { bus: 'radio' });
+    assert.equal(audioMark.getDuckLevel('sfx'), -12);
+});
+
+test('the deepest active rule wins until all its triggers stop', () => {
+    audioMark.createBus('stingers', { parent: 'master' });
+    audioMark.duck({ trigger: 'voice', target: 'music', amount: -6 });
+    audioMark.duck({ trigger: 'stingers', target: 'music', amount: -18, release: 0.25 });
+    
+    const first = audioMark.playSFX('line', { bus: 'voice' });
+    const second = audioMark.playSFX('line', { bus: 'voice' });
+    const stinger = audioMark.playSFX('line', { bus: 'stingers' });
+    assert.equal(audioMark.getDuckLevel('music'), -18);
+    
+    stinger.stop();
+    assert.equal(audioMark.getDuckLevel('music'), -6);
+    assert.deepEqual(audioMark.musicGain.gain.events.at(-1), { type: 'linear', value: gain(-6), time: 0.25 });
+    
+    first.stop();
+    assert.equal(audioMark.getDuckLevel('music'), -6);
+    second.pause();
+    assert.equal(audioMark.getDuckLevel('music'), 0);
+    second.resume();
+    assert.equal(audioMark.getDuckLevel('music'), -6);
+});
+
+test('removing a rule releases its duck', () => {
+    const id = audioMark.duck({ trigger: 'voice', target: 'music' });
+    audioMark.playSFX('line', { bus: 'voice' });
+    
+    assert.equal(audioMark.removeDuck(id), true);
+    assert.equal(audioMark.getDuckLevel('music'), 0);
+    assert.equal(audioMark.removeDuck(id), false);
+    assert.equal(audioMark.getState().buses.find(bus => bus.name === 'music').ducked, 0);
+});
+
+test('reports invalid rules', () => {
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    
+    assert.equal(audioMark.duck({ target: 'music' }), null);
+    assert.equal(audioMark.duck({ trigger: 'voice', target: 'ambience' }), null);
+    assert.equal(audioMark.duck({ trigger: 'voice', target: 'music', amount: 6 }), null);
+    
+    assert.equal(errors.length, 3);
+    assert.ok(errors.every(error => error instanceof InvalidArgumentError));
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioMark, InitializationError, NotInitializedError } from '../audio.js';
+import { MockAudioContext, MockOfflineAudioContext } from './webaudio-mock.js';
+
+test('uses an injected context', async () => {
+    const context = new MockAudioContext();
+    const audioMark = new AudioMark({ context });
+    
+    assert.equal(await audioMark.initialize(), true);
+    assert.equal(audioMark.audioContext, context);
+    assert.equal(audioMark.isInitialized, true);
+});
+
+test('calls a context factory on initialize', async () => {
+    let created = 0;
+    const audioMark = new AudioMark({
+        context: () => {
+            created++;
+            return new MockAudioContext();
+        }
+    });
+    
+    assert.equal(created, 0);
+    await audioMark.initialize();
+    assert.equal(created, 1);
+    assert.ok(audioMark.audioContext instanceof MockAudioContext);
+});
+
+test('resumes a suspended context', async () => {
+    const context = new MockAudioContext({ state: 'suspended' });
+    await new AudioMark({ context }).initialize();
+    
+    assert.equal(context.state, 'running');
+});
+
+test('leaves an OfflineAudioContext suspended until rendering', async () => {
+    const context = new MockOfflineAudioContext({ length: 48000 });
+    const audioMark = new AudioMark({ context });
+    
+    assert.equal(await audioMark.initialize(), true);
+    assert.equal(context.state, 'suspended');
+    
+    audioMark.cleanup();
+    assert.equal(audioMark.audioContext, null);
+});
+
+test('reports an InitializationError without Web Audio', async () => {
+    const audioMark = new AudioMark();
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    
+    assert.equal(await audioMark.initialize(), false);
+    assert.equal(errors.length, 1);
+    assert.ok(errors[0] instanceof InitializationError);
+    assert.equal(errors[0].code, 'INIT_FAILED');
+});
+
+test('builds the default bus graph', async () => {
+    const context = new MockAudioContext();
+    const audioMark = new AudioMark({ context });
+    await audioMark.initialize();
+    
+    assert.deepEqual(audioMark.getBuses(), ['master', 'music', 'sfx']);
+    assert.ok(audioMark.musicGain.outputs.has(audioMark.masterGain));
+    assert.ok(audioMark.masterGain.outputs.has(context.destination));
+    assert.equal(audioMark.sfxGain.gain.value, 1);
+});
+
+test('reports NotInitializedError before initialize', async () => {
+    const audioMark = new AudioMark({ context: new MockAudioContext() });
+    audioMark.setErrorMode('throw');
+    
+    assert.throws(() => audioMark.playSFX('jump'), NotInitializedError);
+    await assert.rejects(audioMark.loadAudio('jump', new ArrayBuffer(10)), NotInitializedError);
+});
+
+test('emits statechange when the context state changes', async () => {
+    const context = new MockAudioContext();
+    const audioMark = new AudioMark({ context });
+    await audioMark.initialize();
+    
+    const states = [];
+    audioMark.on('statechange', state => states.push(state.audioContextState));
+    await context.suspend();
+    await context.resume();
+    
+    assert.deepEqual(states, ['suspended', 'running']);
+});
+
+test('applies volumes set before initialize', async () => {
+    const audioMark = new AudioMark({ context: new MockAudioContext() });
+    audioMark.setVolume('music', 25);
+    await audioMark.initialize();
+    
+    assert.equal(audioMark.musicGain.gain.value, 0.25);
+});
@@ -0,0 +1,183 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioMark, InvalidArgumentError } from '../audio.js';
+import { MockAudioContext } from './webaudio-mock.js';
+
+// A context that, like a browser before any user gesture, refuses to resume
+class LockedAudioContext extends MockAudioContext {
+    constructor() {
+        super({ state: 'suspended' });
+        this.unlocked = false;
+    }
+    
+    resume() {
+        return this.unlocked ? super.resume() : new Promise(() => {});
+    }
+}
+
+let page;
+let audioMark;
+
+// Stand-ins for the page's document and window
+const createPage = () => {
+    const page = { document: new EventTarget(), window: new EventTarget() };
+    page.document.hidden = false;
+    page.setHidden = hidden => {
+        page.document.hidden = hidden;
+        page.document.dispatchEvent(new Event('visibilitychange'));
+    };
+    page.fire = (target, type) => page[target].dispatchEvent(new Event(type));
+    return page;
+};
+
+beforeEach(() => {
+    page = createPage();
+});
+
+afterEach(() => {
+    if (audioMark) audioMark.cleanup();
+    audioMark = null;
+});
+
+test('initialize does not wait for a gesture, and the first gesture unlocks audio', async () => {
+    const context = new LockedAudioContext();
+    audioMark = new AudioMark({ context, lifecycle: page });
+    const changes = [];
+    audioMark.on('contextstatechange', change => changes.push(change));
+    
+    assert.equal(await audioMark.initialize(), true);
+    assert.equal(context.state, 'suspended');
+    assert.equal(audioMark.getState().lifecycle.awaitingGesture, true);
+    
+    context.unlocked = true;
+    page.fire('document', 'pointerdown');
+    
+    assert.equal(context.state, 'running');
+    assert.equal(audioMark.getState().lifecycle.awaitingGesture, false);
+    assert.deepEqual(changes, [{ state: 'running', previous: 'suspended' }]);
+});
+
+test('suspends while the page is hidden', async () => {
+    const context = new MockAudioContext();
+    audioMark = new AudioMark({ context, lifecycle: page });
+    await audioMark.initialize();
+    
+    page.setHidden(true);
+    assert.equal(context.state, 'suspended');
+    assert.deepEqual(audioMark.getState().lifecycle.background, ['hidden']);
+    
+    page.setHidden(false);
+    assert.equal(context.state, 'running');
+});
+
+test('a context suspended by the game is not resumed on return', async () => {
+    const context = new MockAudioContext();
+    audioMark = new AudioMark({ context, lifecycle: page });
+    await audioMark.initialize();
+    
+    await context.suspend();
+    page.setHidden(true);
+    page.setHidden(false);
+    
+    assert.equal(context.state, 'suspended');
+});
+
+test('ducks on blur without touching bus volumes', async () => {
+    const context = new MockAudioContext();
+    audioMark = new AudioMark({ context, lifecycle: { ...page, blur: 'duck', duckAmount: -20, fadeTime: 0.5 } });
+    await audioMark.initialize();
+    audioMark.setVolume('master', 80);
+    
+    page.fire('window', 'blur');
+    assert.equal(context.state, 'running');
+    assert.deepEqual(audioMark.masterGain.gain.events.at(-1), { type: 'linear', value: 0.8 * 0.1, time: 0.5 });
+    assert.equal(audioMark.getVolume('master'), 80);
+    
+    page.fire('window', 'focus');
+    assert.deepEqual(audioMark.masterGain.gain.events.at(-1), { type: 'linear', value: 0.8, time: 0.5 });
+});
+
+test('suspending wins over ducking when both apply', async () => {
+    const context = new MockAudioContext();
+    audioMark = new AudioMark({ context, lifecycle: { ...page, blur: 'duck' } });
+    await audioMark.initialize();
+    
+    page.fire('window', 'blur');
+    page.setHidden(true);
+    assert.equal(context.state, 'suspended');
+    
+    page.setHidden(false);
+    assert.equal(context.state, 'running');
+    assert.deepEqual(audioMark.getState().lifecycle.background, ['blur']);
+});
+
+test('recovers from an iOS interruption', async () => {
+    const context = new MockAudioContext();
+    audioMark = new AudioMark({ context, lifecycle: page });
+    await audioMark.initialize();
+    const states = [];
+    audioMark.on('contextstatechange', ({ state }) => states.push(state));
+    
+    context._setState('interrupted');
+    assert.equal(audioMark.getState().lifecycle.awaitingGesture, true);
+    
+    // The call ends and Safari leaves the context suspended
+    context._setState('suspended');
+    assert.equal(context.state, 'running');
+    assert.deepEqual(states, ['interrupted', 'suspended', 'running']);
+});
+
+test('an interrupted context resumes on the next gesture', async () => {
+    const context = new LockedAudioContext();
+    context.unlocked = true;
+    audioMark = new AudioMark({ context, lifecycle: page });
+    await audioMark.initialize();
+    
+    context.unlocked = false;
+    context._setState('interrupted');
+    context.unlocked = true;
+    page.fire('document', 'touchend');
+    
+    assert.equal(context.state, 'running');
+});
+
+test('can be turned off', async () => {
+    const context = new MockAudioContext();
+    audioMark = new AudioMark({ context, lifecycle: page });
+    await audioMark.initialize();
+    page.setHidden(true);
+    
+    // Turning handling off undoes its suspend
+    assert.equal(audioMark.setLifecycle(false), true);
+    assert.equal(context.state, 'running');
+    assert.equal(audioMark.getState().lifecycle, null);
+    
+    page.setHidden(true);
+    assert.equal(context.state, 'running');
+    
+    const other = new AudioMark({ context: new MockAudioContext(), lifecycle: false });
+    await other.initialize();
+    assert.equal(other.getState().lifecycle, null);
+});
+
+test('stops listening on cleanup', async () => {
+    const context = new MockAudioContext();
+    audioMark = new AudioMark({ context, lifecycle: page });
+    await audioMark.initialize();
+    
+    audioMark.cleanup();
+    page.setHidden(true);
+    page.fire('document', 'pointerdown');
+    
+    assert.equal(context.state, 'closed');
+});
+
+test('rejects unknown background modes', async () => {
+    audioMark = new AudioMark({ context: new MockAudioContext() });
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    
+    assert.equal(audioMark.setLifecycle({ hidden: 'pause' }), false);
+    assert.ok(errors[0] instanceof InvalidArgumentError);
+});
@@ -0,0 +1,385 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioMark, DecodeError, FetchError } from '../audio.js';
+import { MockAudioContext, createAudio, createFetch, encodeAudio } from './webaudio-mock.js';
+
+const originalFetch = globalThis.fetch;
+const originalAudio = globalThis.Audio;
+let audioMark;
+let errors;
+
+beforeEach(async () => {
+    audioMark = new AudioMark({ context: new MockAudioContext() });
+    await audioMark.initialize();
+    errors = [];
+    audioMark.on('error', error => errors.push(error));
+});
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+    globalThis.Audio = originalAudio;
+});
+
+// canPlayType() answers for Opus, Ogg Vorbis, MP3 and WAV
+const FORMATS = {
+    'audio/ogg; codecs="opus"': '',
+    'audio/ogg; codecs="vorbis"': 'maybe',
+    'audio/mpeg': 'probably',
+    'audio/wav; codecs="1"': 'probably'
+};
+
+test('loads an ArrayBuffer without detaching it', async () => {
+    const data = encodeAudio(2);
+    
+    assert.equal(await audioMark.loadAudio('jump', data), true);
+    assert.equal(data.byteLength, 2000);
+    assert.equal(audioMark.audioBuffers.get('jump').duration, 2);
+});
+
+test('loads typed arrays, Blobs and Responses', async () => {
+    assert.equal(await audioMark.loadAudio('view', new Uint8Array(encodeAudio(1))), true);
+    assert.equal(await audioMark.loadAudio('blob', new Blob([encodeAudio(1)])), true);
+    assert.equal(await audioMark.loadAudio('response', new Response(encodeAudio(1))), true);
+    
+    assert.deepEqual(audioMark.getState().loadedAudio, ['view', 'blob', 'response']);
+});
+
+test('fetches URLs and emits load', async () => {
+    globalThis.fetch = createFetch({ 'jump.wav': 0.5 });
+    const loaded = [];
+    audioMark.on('load', ({ name }) => loaded.push(name));
+    
+    assert.equal(await audioMark.loadAudio('jump', 'jump.wav'), true);
+    assert.deepEqual(loaded, ['jump']);
+});
+
+test('reports fetch and decode failures', async () => {
+    globalThis.fetch = createFetch({});
+    
+    assert.equal(await audioMark.loadAudio('missing', 'missing.wav'), false);
+    assert.equal(await audioMark.loadAudio('broken', new ArrayBuffer(0)), false);
+    
+    assert.ok(errors[0] instanceof FetchError);
+    assert.equal(errors[0].status, 404);
+    assert.equal(errors[0].audioName, 'missing');
+    assert.ok(errors[1] instanceof DecodeError);
+});
+
+test('shares one request between duplicate loads', async () => {
+    globalThis.fetch = createFetch({ 'theme.mp3': 3 });
+    
+    const results = await Promise.all([
+        audioMark.loadAudio('theme', 'theme.mp3'),
+        audioMark.loadAudio('theme', 'theme.mp3')
+    ]);
+    
+    assert.deepEqual(results, [true, true]);
+    assert.equal(globalThis.fetch.requests.length, 1);
+});
+
+test('loads sprites and plays their regions', async () => {
+    await audioMark.loadSprite('ui', encodeAudio(2), {
+        click: [0, 0.1],
+        hum: [1, 0.5, true]
+    });
+    
+    const click = audioMark.playSFX('ui:click');
+    const hum = audioMark.playSFX('ui:hum');
+    
+    assert.equal(click.duration, 0.1);
+    assert.equal(click.source.offset, 0);
+    assert.equal(hum.loop, true);
+    assert.equal(hum.source.loopStart, 1);
+    assert.equal(hum.source.loopEnd, 1.5);
+});
+
+test('picks the first loadable format from a fallback list', async () => {
+    globalThis.fetch = createFetch({ 'theme.mp3': 3 });
+    
+    assert.equal(await audioMark.loadAudio('theme', ['theme.opus', 'theme.mp3']), true);
+    assert.deepEqual(globalThis.fetch.requests, ['theme.opus', 'theme.mp3']);
+    assert.deepEqual(errors, []);
+});
+
+test('tries formats the browser probably plays before ones it maybe plays', async () => {
+    globalThis.Audio = createAudio({}, FORMATS);
+    globalThis.fetch = createFetch({ 'theme.ogg': 3 });
+    
+    assert.equal(await audioMark.loadAudio('theme', ['theme.opus', 'theme.ogg', 'theme.mp3']), true);
+    
+    // Opus cannot be played, so it is never fetched
+    assert.deepEqual(globalThis.fetch.requests, ['theme.mp3', 'theme.ogg']);
+    assert.deepEqual(errors, []);
+});
+
+test('getSupportedFormats lists playable formats, best supported first', () => {
+    assert.deepEqual(audioMark.getSupportedFormats(), []);
+    
+    globalThis.Audio = createAudio({}, FORMATS);
+    const probed = new AudioMark({ context: new MockAudioContext() });
+    assert.deepEqual(probed.getSupportedFormats(), ['mp3', 'wav', 'ogg']);
+});
+
+test('reports UNSUPPORTED_FORMAT when no alternative can be played', async () => {
+    globalThis.Audio = createAudio({}, FORMATS);
+    globalThis.fetch = createFetch({ 'theme.opus': 3 });
+    
+    assert.equal(await audioMark.loadAudio('theme', ['theme.opus', 'theme.flac']), false);
+    
+    assert.equal(errors[0].code, 'UNSUPPORTED_FORMAT');
+    assert.equal(errors[0].audioName, 'theme');
+    assert.deepEqual(globalThis.fetch.requests, []);
+});
+
+test('loadManifest retries, reports and groups assets', async () => {
+    const fetch = createFetch({ 'a.wav': 1, 'b.wav': 1 });
+    let failures = 1;
+    globalThis.fetch = async url => {
+        // The first request for a.wav fails with a server error
+        if (url === 'a.wav' && failures-- > 0) {
+            return new Response(null, { status: 503 });
+        }
+        return fetch(url);
+    };
+    audioMark.setErrorMode('silent');
+    
+    const report = await audioMark.loadManifest({
+        a: { url: 'a.wav', group: 'level1' },
+        b: { url: 'b.wav', group: 'level1' },
+        c: 'c.wav'
+    }, { retryDelay: 1 });
+    
+    assert.deepEqual(report.loaded.sort(), ['a', 'b']);
+    assert.deepEqual(report.failed, ['c']);
+    assert.equal(report.results.a.attempts, 2);
+    assert.equal(report.results.c.attempts, 1);
+    
+    assert.deepEqual(audioMark.getAssetInfo('a'), { url: 'a.wav', type: null, group: 'level1' });
+    assert.equal(audioMark.getAssetInfo('c'), null);
+    
+    assert.deepEqual(audioMark.getGroup('level1').sort(), ['a', 'b']);
+    assert.equal(audioMark.unloadGroup('level1'), 2);
+    assert.deepEqual(audioMark.getState().loadedAudio, []);
+    assert.equal(audioMark.getAssetInfo('a'), null);
+});
+
+test('loadManifest retries leave no abort listeners behind', async () => {
+    let failures = 3;
+    globalThis.fetch = async () => failures-- > 0 ? new Response(null, { status: 503 }) : new Response(encodeAudio(1));
+    audioMark.setErrorMode('silent');
+    
+    const { signal } = new AbortController();
+    let listeners = 0;
+    const add = signal.addEventListener.bind(signal);
+    const remove = signal.removeEventListener.bind(signal);
+    signal.addEventListener = (...args) => { listeners++; add(...args); };
+    signal.removeEventListener = (...args) => { listeners--; remove(...args); };
+    
+    const report = await audioMark.loadManifest({ a: 'a.wav' }, { retries: 3, retryDelay: 1, signal });
+    
+    assert.deepEqual(report.loaded, ['a']);
+    assert.equal(listeners, 0);
+});
+
+test('loadManifest resolves before initialize, even in throw mode', async () => {
+    const uninitialized = new AudioMark({ context: new MockAudioContext() });
+    uninitialized.setErrorMode('throw');
+    
+    const report = await uninitialized.loadManifest({ a: 'a.wav' });
+    
+    assert.deepEqual(report.failed, ['a']);
+    assert.equal(report.results.a.error.code, 'NOT_INITIALIZED');
+});
+
+test('loadManifest can be cancelled', async () => {
+    globalThis.fetch = createFetch({ 'a.wav': 1 });
+    const controller = new AbortController();
+    controller.abort();
+    
+    const report = await audioMark.loadManifest({ a: 'a.wav' }, { signal: controller.signal });
+    
+    assert.deepEqual(report.cancelled, ['a']);
+    assert.deepEqual(audioMark.getState().loadedAudio, []);
+});
+
+test('registered audio loads on first play', async () => {
+    globalThis.fetch = createFetch({ 'secret.wav': 1 });
+    audioMark.registerAudio('secret', 'secret.wav');
+    const played = [];
+    audioMark.on('play', ({ name }) => played.push(name));
+    
+    assert.equal(audioMark.isLoaded('secret'), false);
+    assert.equal(audioMark.playSFX('secret'), null);
+    
+    await audioMark.pendingLoads.get('secret');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    assert.equal(audioMark.isLoaded('secret'), true);
+    assert.deepEqual(played, ['secret']);
+    assert.deepEqual(errors, []);
+});
+
+test('registered audio skips plays that waited too long', async () => {
+    globalThis.fetch = async url => {
+        await new Promise(resolve => setTimeout(resolve, 30));
+        return new Response(encodeAudio(1));
+    };
+    audioMark.registerAudio('late', 'late.wav', { latencyTolerance: 0.001 });
+    const played = [];
+    const skipped = [];
+    audioMark.on('play', ({ name }) => played.push(name));
+    audioMark.on('skip', ({ name, waited }) => skipped.push({ name, waited }));
+    
+    audioMark.playSFX('late');
+    await audioMark.pendingLoads.get('late');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    assert.equal(audioMark.isLoaded('late'), true);
+    assert.deepEqual(played, []);
+    assert.equal(skipped.length, 1);
+    assert.equal(skipped[0].name, 'late');
+    assert.ok(skipped[0].waited > 0.001);
+});
+
+test('registered audio that fails to load is reported, even in throw mode', async () => {
+    globalThis.fetch = createFetch({});
+    audioMark.setErrorMode('throw');
+    audioMark.registerAudio('boom', 'missing.wav');
+    
+    assert.equal(audioMark.playSFX('boom'), null);
+    await audioMark.pendingLoads.get('boom').catch(() => {});
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    assert.equal(errors.length, 1);
+    assert.ok(errors[0] instanceof FetchError);
+});
+
+test('plays wait for a load that is already under way', async () => {
+    globalThis.fetch = createFetch({ 'jump.wav': 1 });
+    const played = [];
+    audioMark.on('play', ({ name }) => played.push(name));
+    
+    const loading = audioMark.loadAudio('jump', 'jump.wav');
+    assert.equal(audioMark.playSFX('jump'), null);
+    await loading;
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    assert.deepEqual(played, ['jump']);
+    assert.deepEqual(errors, []);
+});
+
+test('registered music loads for transitions, queues and layers', async () => {
+    globalThis.fetch = createFetch({ 'a.wav': 1, 'b.wav': 1, 'c.wav': 1, 'd.wav': 1 });
+    for (const name of ['a', 'b', 'c', 'd']) {
+        audioMark.registerAudio(name, `${name}.wav`);
+    }
+    const played = [];
+    audioMark.on('play', ({ name }) => played.push(name));
+    
+    assert.equal(await audioMark.transitionMusic('a', 0), true);
+    assert.equal(audioMark.getState().currentMusic, 'a');
+    
+    // The first track starts once loaded, and the next one is fetched while it plays
+    assert.equal(audioMark.queueMusic(['b', 'c']), true);
+    await audioMark.pendingLoads.get('b');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(audioMark.getState().currentMusic, 'b');
+    await audioMark.pendingLoads.get('c');
+    assert.equal(audioMark.isLoaded('c'), true);
+    
+    assert.equal(audioMark.playMusicLayers('combat', { drums: 'd' }), null);
+    await audioMark.pendingLoads.get('d');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(audioMark.getState().currentMusic, 'combat');
+    
+    assert.deepEqual(played, ['a', 'b', 'd']);
+    assert.deepEqual(errors, []);
+});
+
+test('a queue waits for a next track that is still loading', async () => {
+    const context = audioMark.audioContext;
+    globalThis.fetch = async url => {
+        await new Promise(resolve => setTimeout(resolve, url === 'b.wav' ? 30 : 0));
+        return new Response(encodeAudio(1));
+    };
+    audioMark.registerAudio('b', 'b.wav');
+    await audioMark.loadAudio('a', 'a.wav');
+    const played = [];
+    audioMark.on('play', ({ name }) => played.push(name));
+    
+    audioMark.queueMusic(['a', 'b']);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    context.advance(2);
+    assert.equal(audioMark.getState().currentMusic, null);
+    
+    // a ended before b arrived, so b starts as soon as it is loaded
+    await audioMark.pendingLoads.get('b');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.deepEqual(played, ['a', 'b']);
+    assert.equal(audioMark.getState().currentMusic, 'b');
+    assert.deepEqual(errors, []);
+});
+
+test('memory budget evicts the least recently played audio', async () => {
+    globalThis.fetch = createFetch({ 'a.wav': 1, 'b.wav': 1, 'c.wav': 1 });
+    const evicted = [];
+    audioMark.on('evict', ({ name }) => evicted.push(name));
+    
+    await audioMark.loadAudio('a', 'a.wav');
+    await audioMark.loadAudio('b', 'b.wav');
+    const size = audioMark.getMemoryUsage().assets.a;
+    assert.equal(size, 2 * 48000 * 4);
+    
+    audioMark.setMemoryBudget(size * 2);
+    audioMark.playSFX('a').stop();
+    await audioMark.loadAudio('c', 'c.wav');
+    
+    assert.deepEqual(evicted, ['b']);
+    assert.deepEqual(audioMark.getState().loadedAudio, ['a', 'c']);
+    assert.equal(audioMark.getState().memory.total, size * 2);
+    
+    // Evicted audio is fetched again on demand
+    assert.equal(await audioMark.loadAudio('b'), true);
+    assert.deepEqual(evicted, ['b', 'a']);
+});
+
+test('memory budget keeps the next queued track and re-fetches evicted music', async () => {
+    globalThis.fetch = createFetch({ 'a.wav': 1, 'b.wav': 1, 'c.wav': 1 });
+    const context = audioMark.audioContext;
+    const evicted = [];
+    const played = [];
+    audioMark.on('evict', ({ name }) => evicted.push(name));
+    audioMark.on('play', ({ name }) => played.push(name));
+    
+    await audioMark.loadAudio('a', 'a.wav');
+    await audioMark.loadAudio('b', 'b.wav');
+    audioMark.setMemoryBudget(audioMark.getMemoryUsage().assets.a);
+    assert.deepEqual(evicted, ['a']);
+    
+    // Fetching a again for the queue must not evict b, which is due next
+    assert.equal(audioMark.queueMusic(['a', 'b']), true);
+    await audioMark.pendingLoads.get('a');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.deepEqual(evicted, ['a']);
+    assert.deepEqual(played, ['a', 'b']);
+    
+    context.advance(1);
+    assert.equal(audioMark.getState().currentMusic, 'b');
+    
+    await audioMark.loadAudio('c', 'c.wav');
+    assert.deepEqual(evicted, ['a', 'a']);
+    assert.equal(await audioMark.transitionMusic('a', 0), true);
+    assert.equal(audioMark.getState().currentMusic, 'a');
+    assert.deepEqual(errors, []);
+});
+
+test('pinned audio is never evicted', async () => {
+    await audioMark.loadAudio('ui', encodeAudio(1));
+    await audioMark.loadAudio('music', encodeAudio(1));
+    audioMark.pinAudio('ui');
+    
+    audioMark.setMemoryBudget(0);
+    
+    assert.deepEqual(audioMark.getState().loadedAudio, ['ui']);
+});
@@ -0,0 +1,85 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioMark, Effect, InvalidArgumentError } from '../audio.js';
+import { MockAudioContext, encodeAudio } from './webaudio-mock.js';
+
+let audioMark;
+
+beforeEach(async () => {
+    audioMark = new AudioMark({ context: new MockAudioContext() });
+    await audioMark.initialize();
+    await audioMark.loadAudio('step', encodeAudio(1));
+});
+
+test('setVolume sets and clamps bus volumes', () => {
+    assert.equal(audioMark.setVolume('music', 40), true);
+    assert.equal(audioMark.getVolume('music'), 40);
+    assert.equal(audioMark.musicGain.gain.value, 0.4);
+    
+    audioMark.setVolume('sfx', 150);
+    assert.equal(audioMark.getVolume('sfx'), 100);
+});
+
+test('custom buses nest under their parent', () => {
+    assert.equal(audioMark.createBus('footsteps', { parent: 'sfx', volume: 50 }), true);
+    const bus = audioMark.buses.get('footsteps');
+    
+    assert.deepEqual(audioMark.getBuses(), ['master', 'music', 'sfx', 'footsteps']);
+    assert.equal(bus.gain.gain.value, 0.5);
+    assert.ok(audioMark.getEffectChain('footsteps').output === audioMark.sfxGain);
+    
+    const playback = audioMark.playSFX('step', { bus: 'footsteps' });
+    assert.equal(playback.effects.output, bus.gain);
+});
+
+test('playing on an unknown bus reports InvalidArgumentError', () => {
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    
+    assert.equal(audioMark.playSFX('step', { bus: 'nowhere' }), null);
+    assert.ok(errors[0] instanceof InvalidArgumentError);
+});
+
+test('mute and solo silence the right buses', () => {
+    audioMark.createBus('voice', { parent: 'master' });
+    
+    audioMark.setMute('music', true);
+    assert.equal(audioMark.isMuted('music'), true);
+    assert.equal(audioMark.musicGain.gain.value, 0);
+    
+    audioMark.setMute('music', false);
+    audioMark.setSolo('voice', true);
+    assert.equal(audioMark.musicGain.gain.value, 0);
+    assert.equal(audioMark.sfxGain.gain.value, 0);
+    assert.equal(audioMark.buses.get('voice').gain.gain.value, 1);
+    assert.equal(audioMark.masterGain.gain.value, 1);
+});
+
+test('effect chains insert, reorder and remove effects', () => {
+    const chain = audioMark.getEffectChain('music');
+    const filter = chain.insert('filter', { type: 'lowpass', frequency: 800 });
+    const delay = chain.insert('delay', { delayTime: 0.25, mix: 0.3 });
+    
+    assert.ok(filter instanceof Effect);
+    assert.equal(filter.get('frequency'), 800);
+    assert.equal(delay.get('mix'), 0.3);
+    assert.ok(audioMark.musicGain.outputs.has(filter.input));
+    assert.ok(filter.output.outputs.has(delay.input));
+    
+    chain.move(delay, 0);
+    assert.ok(audioMark.musicGain.outputs.has(delay.input));
+    
+    chain.remove(delay);
+    assert.deepEqual(chain.effects, [filter]);
+    assert.ok(audioMark.musicGain.outputs.has(filter.input));
+    assert.ok(filter.output.outputs.has(audioMark.masterGain));
+});
+
+test('per-play effects sit between the playback and its bus', () => {
+    const playback = audioMark.playSFX('step', { effects: [{ type: 'filter', params: { frequency: 500 } }] });
+    const [filter] = playback.effects.effects;
+    
+    assert.ok(playback.gain.outputs.has(filter.input));
+    assert.ok(filter.output.outputs.has(audioMark.sfxGain));
+});
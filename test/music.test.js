@@ -0,0 +1,520 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioMark, AudioNotLoadedError, InvalidArgumentError } from '../audio.js';
+import { MockAudioContext, encodeAudio } from './webaudio-mock.js';
+
+let audioMark;
+let context;
+
+// Let timers scheduled with setTimeout(..., 0) run
+const flushTimers = () => new Promise(resolve => setTimeout(resolve, 5));
+
+beforeEach(async () => {
+    context = new MockAudioContext();
+    audioMark = new AudioMark({ context });
+    await audioMark.initialize();
+    for (const [name, seconds] of [['intro', 2], ['theme', 8], ['battle', 8], ['a', 1], ['b', 1]]) {
+        await audioMark.loadAudio(name, encodeAudio(seconds));
+    }
+});
+
+afterEach(() => {
+    audioMark.cleanup();
+});
+
+test('playMusic loops on the music bus and emits musicchange', () => {
+    const changes = [];
+    audioMark.on('musicchange', change => changes.push(change));
+    
+    const playback = audioMark.playMusic('theme');
+    
+    assert.equal(playback.loop, true);
+    assert.equal(playback.effects.output, audioMark.musicGain);
+    assert.equal(audioMark.getState().currentMusic, 'theme');
+    assert.deepEqual(changes, [{ name: 'theme', previous: null }]);
+});
+
+test('playMusic stops the current track', () => {
+    const first = audioMark.playMusic('theme');
+    audioMark.playMusic('battle');
+    
+    assert.equal(first.state, 'stopped');
+    assert.equal(audioMark.getState().currentMusic, 'battle');
+});
+
+test('an intro hands off to the track without a gap', () => {
+    const playback = audioMark.playMusic('theme', { intro: 'intro' });
+    
+    assert.equal(playback.source.startTime, 2);
+    assert.equal(audioMark.getState().activeMusicSources, 2);
+});
+
+test('pauseMusic and resumeMusic keep the position', () => {
+    const playback = audioMark.playMusic('theme');
+    context.advance(3);
+    
+    assert.equal(audioMark.pauseMusic(), true);
+    assert.equal(audioMark.getState().isMusicPaused, true);
+    context.advance(5);
+    
+    assert.equal(audioMark.resumeMusic(), true);
+    assert.equal(playback.source.offset, 3);
+    assert.equal(playback.currentTime, 3);
+});
+
+test('transitionMusic crossfades to the new track', async () => {
+    const old = audioMark.playMusic('theme');
+    
+    assert.equal(await audioMark.transitionMusic('battle', 1), true);
+    assert.equal(audioMark.getState().currentMusic, 'battle');
+    assert.equal(old.state, 'stopping');
+    assert.deepEqual(old.gain.gain.events.at(-1), { type: 'linear', value: 0, time: 1 });
+    
+    context.advance(1);
+    assert.equal(old.state, 'stopped');
+});
+
+test('transitionMusic can wait for the next bar', async () => {
+    audioMark.setTrackTempo('theme', { bpm: 120, beatsPerBar: 4 });
+    audioMark.playMusic('theme');
+    context.advance(0.5);
+    
+    await audioMark.transitionMusic('battle', 0, { sync: 'bar' });
+    
+    // At 120 bpm a 4/4 bar lasts 2 seconds
+    assert.equal(audioMark.currentMusic.playback.source.startTime, 2);
+});
+
+test('pausing during a synced transition holds both tracks', async () => {
+    const old = audioMark.playMusic('theme');
+    context.advance(2);
+    
+    // The switch is lined up for the end of the loop, 6 seconds away
+    await audioMark.transitionMusic('battle', 1, { sync: 'end' });
+    const next = audioMark.currentMusic.playback;
+    context.advance(1);
+    
+    assert.equal(audioMark.pauseMusic(), true);
+    assert.equal(old.state, 'paused');
+    assert.equal(next.state, 'paused');
+    context.advance(2);
+    
+    assert.equal(audioMark.resumeMusic(), true);
+    assert.equal(old.source.startTime, 5);
+    assert.equal(old.source.offset, 3);
+    assert.equal(next.source.startTime, 10);
+    assert.equal(old.source.stopTime, 11);
+    assert.deepEqual(old.gain.gain.events.at(-1), { type: 'linear', value: 0, time: 11 });
+    
+    context.advance(6);
+    assert.equal(old.state, 'stopped');
+    assert.equal(next.state, 'playing');
+});
+
+test('seeking a track that has not started keeps its start time', () => {
+    const playback = audioMark.playMusic('theme', { intro: 'intro' });
+    
+    playback.seek(3);
+    
+    assert.equal(playback.source.startTime, 2);
+    assert.equal(playback.source.offset, 3);
+});
+
+test('a sync point past the loop end wraps through the loop', async () => {
+    // At 120 bpm bars fall every 2 seconds; the loop from 1s to 5.5s is not whole bars
+    audioMark.setTrackTempo('theme', { bpm: 120, beatsPerBar: 4 });
+    audioMark.playMusic('theme', { loopStart: 1, loopEnd: 5.5 });
+    context.advance(5);
+    
+    await audioMark.transitionMusic('battle', 0, { sync: 'bar' });
+    
+    // Half a second to the wrap back to 1s, then one more to the bar at 2s
+    assert.equal(audioMark.currentMusic.playback.source.startTime, 6.5);
+});
+
+test('transitionMusic plays a stinger over the switch', async () => {
+    const plays = [];
+    audioMark.on('play', ({ name, playback }) => plays.push({ name, playback }));
+    audioMark.playMusic('theme');
+    
+    await audioMark.transitionMusic('battle', 1, { stinger: 'a', volume: 0 });
+    
+    const [, stinger, battle] = plays;
+    assert.equal(stinger.name, 'a');
+    assert.equal(stinger.playback.loop, false);
+    assert.equal(stinger.playback.source.startTime, 0);
+    assert.equal(battle.name, 'battle');
+    assert.equal(battle.playback.volume, 0);
+    assert.equal(audioMark.getState().currentMusic, 'battle');
+    
+    // The stinger is not the current music, and ends on its own
+    context.advance(1);
+    assert.equal(stinger.playback.state, 'stopped');
+    assert.equal(battle.playback.state, 'playing');
+});
+
+test('transitionMusic starts the new track when a segment ends', async () => {
+    const plays = [];
+    audioMark.on('play', ({ name, playback }) => plays.push({ name, playback }));
+    const old = audioMark.playMusic('theme');
+    
+    await audioMark.transitionMusic('battle', 0.5, { segment: 'intro' });
+    
+    const [, segment, battle] = plays;
+    assert.equal(segment.name, 'intro');
+    assert.equal(segment.playback.source.startTime, 0);
+    assert.equal(battle.playback.source.startTime, 2);
+    assert.deepEqual(battle.playback.gain.gain.events.at(-1), { type: 'set', value: 1, time: 2 });
+    assert.deepEqual(old.gain.gain.events.at(-1), { type: 'linear', value: 0, time: 0.5 });
+});
+
+test('transitionMusic keeps the current music if the new track cannot play', async () => {
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    const playback = audioMark.playMusic('theme');
+    
+    assert.equal(await audioMark.transitionMusic('battle', 1, { bus: 'missing', stinger: 'a' }), false);
+    
+    assert.ok(errors[0] instanceof InvalidArgumentError);
+    assert.equal(audioMark.currentMusic.playback, playback);
+    assert.equal(playback.state, 'playing');
+    assert.equal(audioMark.getState().activeSources, 1);
+});
+
+test('transitionMusic rejects an unknown sync', async () => {
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    const playback = audioMark.playMusic('theme');
+    
+    assert.equal(await audioMark.transitionMusic('battle', 1, { sync: 'bars' }), false);
+    
+    assert.ok(errors[0] instanceof InvalidArgumentError);
+    assert.equal(audioMark.currentMusic.playback, playback);
+    assert.equal(playback.state, 'playing');
+});
+
+test('queueMusic schedules the next track gaplessly', async () => {
+    const changes = [];
+    assert.equal(audioMark.queueMusic(['a', 'b'], {
+        onTrackChange: ({ name, startTime }) => changes.push({ name, startTime })
+    }), true);
+    
+    await flushTimers();
+    
+    // b is lined up on the audio clock, but a stays current until it ends
+    const b = context.playingSources.find(source => source.startTime === 1);
+    assert.ok(b);
+    assert.deepEqual(changes, [{ name: 'a', startTime: 0 }]);
+    assert.equal(audioMark.getState().currentMusic, 'a');
+    
+    context.advance(1);
+    assert.deepEqual(changes, [
+        { name: 'a', startTime: 0 },
+        { name: 'b', startTime: 1 }
+    ]);
+    assert.equal(audioMark.getState().currentMusic, 'b');
+});
+
+test('repeat all goes back to the first track after the last', async () => {
+    const plays = [];
+    audioMark.on('play', ({ name }) => plays.push(name));
+    audioMark.queueMusic(['a', 'b'], { repeat: 'all' });
+    
+    await flushTimers();
+    context.advance(1);
+    assert.equal(audioMark.getState().currentMusic, 'b');
+    
+    await flushTimers();
+    context.advance(1);
+    assert.equal(audioMark.getState().currentMusic, 'a');
+    assert.deepEqual(plays, ['a', 'b', 'a']);
+    assert.equal(audioMark.getState().playlist.position, 0);
+});
+
+test('repeat one loops the current track until skipped', async () => {
+    const plays = [];
+    audioMark.on('play', ({ name, playback }) => plays.push({ name, playback }));
+    audioMark.queueMusic(['a', 'b'], { repeat: 'one' });
+    
+    await flushTimers();
+    context.advance(3);
+    assert.equal(plays.length, 1);
+    assert.equal(plays[0].playback.loop, true);
+    assert.equal(plays[0].playback.state, 'playing');
+    
+    assert.equal(audioMark.next(), true);
+    assert.equal(audioMark.getState().currentMusic, 'b');
+    assert.equal(plays[1].playback.loop, true);
+    
+    // Without repeat all, there is nothing after the last track
+    assert.equal(audioMark.next(), false);
+});
+
+test('shuffle plays the tracks in a random order', async () => {
+    const originalRandom = Math.random;
+    Math.random = () => 0;
+    try {
+        const changes = [];
+        audioMark.queueMusic(['intro', 'a', 'b'], {
+            shuffle: true,
+            onTrackChange: ({ name, index }) => changes.push({ name, index })
+        });
+        
+        await flushTimers();
+        context.advance(1);
+        await flushTimers();
+        context.advance(1);
+        
+        // Math.random() always 0 turns [0, 1, 2] into [1, 2, 0]
+        assert.deepEqual(changes, [
+            { name: 'a', index: 1 },
+            { name: 'b', index: 2 },
+            { name: 'intro', index: 0 }
+        ]);
+    } finally {
+        Math.random = originalRandom;
+    }
+});
+
+test('crossfade overlaps the end of a track with the next one', async () => {
+    const plays = [];
+    audioMark.on('play', ({ playback }) => plays.push(playback));
+    audioMark.queueMusic(['a', 'b'], { crossfade: 0.5 });
+    
+    await flushTimers();
+    const [a, b] = plays;
+    assert.equal(b.source.startTime, 0.5);
+    assert.deepEqual(b.gain.gain.events.slice(-2), [
+        { type: 'set', value: 0, time: 0.5 },
+        { type: 'linear', value: 1, time: 1 }
+    ]);
+    assert.deepEqual(a.gain.gain.events.slice(-2), [
+        { type: 'set', value: 1, time: 0.5 },
+        { type: 'linear', value: 0, time: 1 }
+    ]);
+    
+    // a stays the current music until it has faded out and ended
+    context.advance(0.75);
+    assert.equal(audioMark.getState().currentMusic, 'a');
+    context.advance(0.25);
+    assert.equal(audioMark.getState().currentMusic, 'b');
+});
+
+test('pausing a queue just before a track change pauses the audible track', async () => {
+    const plays = [];
+    audioMark.on('play', ({ playback }) => plays.push(playback));
+    audioMark.queueMusic(['a', 'b']);
+    await flushTimers();
+    context.advance(0.5);
+    
+    const [a, b] = plays;
+    assert.equal(audioMark.pauseMusic(), true);
+    assert.equal(a.state, 'paused');
+    assert.equal(b.state, 'stopped');
+    context.advance(2);
+    
+    audioMark.resumeMusic();
+    await flushTimers();
+    
+    // b is lined up again to follow on from where a now ends
+    assert.equal(audioMark.getState().currentMusic, 'a');
+    assert.equal(plays.length, 3);
+    assert.equal(plays[2].name, 'b');
+    assert.equal(plays[2].startTime, 3);
+    assert.equal(a.state, 'playing');
+    
+    audioMark.stopMusic();
+    assert.ok(plays.every(playback => playback.state === 'stopped'));
+});
+
+test('stopAll and cleanup end the queue', async () => {
+    audioMark.queueMusic(['a', 'b']);
+    audioMark.stopAll();
+    assert.equal(audioMark.getState().playlist, null);
+    
+    // A later track is not joined by the rest of the old queue
+    const plays = [];
+    audioMark.on('play', ({ name }) => plays.push(name));
+    audioMark.playMusic('theme');
+    audioMark.pauseMusic();
+    audioMark.resumeMusic();
+    await flushTimers();
+    assert.deepEqual(plays, ['theme']);
+    
+    audioMark.queueMusic(['a', 'b']);
+    audioMark.cleanup();
+    assert.equal(audioMark.getState().playlist, null);
+});
+
+test('a queue whose next track cannot play ends and reports it', async () => {
+    for (const mode of ['event', 'throw']) {
+        const errors = [];
+        const onError = error => errors.push(error);
+        audioMark.on('error', onError);
+        audioMark.setErrorMode(mode);
+        await audioMark.loadAudio('b', encodeAudio(1));
+        
+        audioMark.queueMusic(['a', 'b']);
+        audioMark.unloadAudio('b');
+        await flushTimers();
+        
+        assert.ok(errors[0] instanceof AudioNotLoadedError, mode);
+        assert.equal(audioMark.getState().playlist, null);
+        assert.equal(audioMark.getState().currentMusic, 'a');
+        audioMark.off('error', onError);
+    }
+});
+
+test('queueMusic rejects an unknown repeat mode', () => {
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    
+    assert.equal(audioMark.queueMusic(['a', 'b'], { repeat: 'al' }), false);
+    assert.ok(errors[0] instanceof InvalidArgumentError);
+    assert.equal(audioMark.getState().playlist, null);
+});
+
+test('music layers follow the intensity', () => {
+    const layers = audioMark.playMusicLayers('combat', {
+        drums: { audio: 'theme', threshold: 0 },
+        brass: { audio: 'battle', threshold: 0.5 }
+    }, { intensity: 0.2 });
+    
+    assert.equal(layers.drums.gain.gain.value, 1);
+    assert.equal(layers.brass.gain.gain.value, 0);
+    
+    audioMark.setMusicIntensity(0.8, 0);
+    assert.equal(layers.brass.gain.gain.value, 1);
+});
+
+test('getMusicPosition follows loops, pauses and rate changes', () => {
+    audioMark.playMusic('theme');
+    assert.equal(audioMark.getMusicDuration(), 8);
+    
+    context.advance(9);
+    assert.equal(audioMark.getMusicPosition(), 1);
+    
+    audioMark.pauseMusic();
+    context.advance(5);
+    assert.equal(audioMark.getMusicPosition(), 1);
+    
+    audioMark.resumeMusic();
+    assert.equal(audioMark.setMusicRate(2), true);
+    context.advance(1);
+    assert.equal(audioMark.getMusicPosition(), 3);
+});
+
+test('getMusicPosition counts up through the intro', () => {
+    audioMark.playMusic('theme', { intro: 'intro' });
+    context.advance(0.5);
+    assert.equal(audioMark.getMusicPosition(), -1.5);
+    
+    context.advance(2);
+    assert.equal(audioMark.getMusicPosition(), 0.5);
+    assert.equal(audioMark.getMusicPosition(), audioMark.currentMusic.playback.currentTime);
+});
+
+test('seekMusic moves every layer and keeps paused music paused', () => {
+    const layers = audioMark.playMusicLayers('combat', {
+        drums: { audio: 'theme' },
+        brass: { audio: 'battle' }
+    });
+    audioMark.pauseMusic();
+    
+    assert.equal(audioMark.seekMusic(5), true);
+    assert.equal(layers.drums.state, 'paused');
+    assert.equal(audioMark.getMusicPosition(), 5);
+    
+    audioMark.resumeMusic();
+    assert.equal(layers.drums.source.offset, 5);
+    assert.equal(layers.brass.source.offset, 5);
+});
+
+test('seekMusic during an intro skips straight into the track', () => {
+    const playback = audioMark.playMusic('theme', { intro: 'intro' });
+    const intro = audioMark.currentMusic.intro;
+    context.advance(0.5);
+    
+    audioMark.seekMusic(3);
+    
+    assert.equal(intro.state, 'stopped');
+    assert.equal(playback.source.startTime, 0.5);
+    assert.equal(audioMark.getMusicPosition(), 3);
+});
+
+test('setMusicRate keeps the track following the intro', () => {
+    const playback = audioMark.playMusic('theme', { intro: 'intro' });
+    context.advance(1);
+    
+    audioMark.setMusicRate(2);
+    
+    // One second of intro is left, which now takes half a second
+    assert.equal(playback.source.startTime, 1.5);
+    assert.equal(playback.rate, 2);
+});
+
+test('seekMusic near the end of a queued track moves the audible track', async () => {
+    const plays = [];
+    audioMark.on('play', ({ playback }) => plays.push(playback));
+    audioMark.queueMusic(['a', 'b']);
+    await flushTimers();
+    context.advance(0.5);
+    
+    assert.equal(audioMark.getMusicPosition(), 0.5);
+    assert.equal(audioMark.getMusicDuration(), 1);
+    
+    audioMark.seekMusic(0.25);
+    await flushTimers();
+    
+    const [a, b, next] = plays;
+    assert.equal(a.source.startTime, 0.5);
+    assert.equal(audioMark.getMusicPosition(), 0.25);
+    assert.equal(b.state, 'stopped');
+    assert.equal(next.startTime, 1.25);
+});
+
+test('setMusicRate carries over to the next queued track', async () => {
+    const plays = [];
+    audioMark.on('play', ({ playback }) => plays.push(playback));
+    audioMark.queueMusic(['a', 'b']);
+    await flushTimers();
+    
+    audioMark.setMusicRate(2);
+    await flushTimers();
+    
+    const next = plays.at(-1);
+    assert.equal(next.name, 'b');
+    assert.equal(next.rate, 2);
+    assert.equal(next.startTime, 0.5);
+    
+    context.advance(0.5);
+    assert.equal(audioMark.getState().currentMusic, 'b');
+    assert.equal(audioMark.currentMusic.playback.rate, 2);
+});
+
+test('setMusicRate rejects rates that are not positive', () => {
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    audioMark.playMusic('theme');
+    
+    assert.equal(audioMark.setMusicRate(0), false);
+    assert.ok(errors[0] instanceof InvalidArgumentError);
+});
+
+test('resumed music keeps its volume', () => {
+    const playback = audioMark.playMusic('theme', { volume: 0.4 });
+    context.advance(1);
+    
+    audioMark.pauseMusic();
+    audioMark.resumeMusic();
+    
+    assert.equal(playback.gain.gain.value, 0.4);
+    assert.ok(playback.source.outputs.has(playback.gain));
+});
+
+test('music queries report nothing without music', () => {
+    assert.equal(audioMark.getMusicPosition(), null);
+    assert.equal(audioMark.getMusicDuration(), null);
+    assert.equal(audioMark.seekMusic(1), false);
+});
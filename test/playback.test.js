@@ -0,0 +1,224 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioMark, AudioNotLoadedError, InvalidArgumentError, Playback } from '../audio.js';
+import { MockAudioContext, encodeAudio } from './webaudio-mock.js';
+
+let audioMark;
+let context;
+
+beforeEach(async () => {
+    context = new MockAudioContext();
+    audioMark = new AudioMark({ context });
+    await audioMark.initialize();
+    await audioMark.loadAudio('jump', encodeAudio(1));
+    await audioMark.loadAudio('hum', encodeAudio(4));
+});
+
+test('playSFX returns a Playback routed through the sfx bus', () => {
+    const playback = audioMark.playSFX('jump', { volume: 0.5 });
+    
+    assert.ok(playback instanceof Playback);
+    assert.equal(playback.type, 'sfx');
+    assert.equal(playback.gain.gain.value, 0.5);
+    assert.ok(playback.source.outputs.has(playback.gain));
+    assert.equal(playback.effects.output, audioMark.sfxGain);
+    assert.equal(audioMark.getState().activeSources, 1);
+});
+
+test('playing unloaded audio reports AudioNotLoadedError', () => {
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    
+    assert.equal(audioMark.playSFX('missing'), null);
+    assert.ok(errors[0] instanceof AudioNotLoadedError);
+    assert.equal(errors[0].audioName, 'missing');
+});
+
+test('playbacks end, emit ended and resolve their promise', async () => {
+    const ended = [];
+    audioMark.on('ended', ({ name }) => ended.push(name));
+    const playback = audioMark.playSFX('jump');
+    
+    context.advance(0.5);
+    assert.equal(playback.state, 'playing');
+    assert.equal(playback.currentTime, 0.5);
+    
+    context.advance(0.5);
+    await playback.ended;
+    assert.equal(playback.state, 'stopped');
+    assert.deepEqual(ended, ['jump']);
+    assert.equal(audioMark.getState().activeSources, 0);
+});
+
+test('pause and resume keep the position', () => {
+    const playback = audioMark.playSFX('hum');
+    
+    context.advance(1.5);
+    assert.equal(playback.pause(), true);
+    assert.equal(playback.state, 'paused');
+    
+    context.advance(10);
+    assert.equal(playback.currentTime, 1.5);
+    
+    assert.equal(playback.resume(), true);
+    assert.equal(playback.source.offset, 1.5);
+    context.advance(1);
+    assert.equal(playback.currentTime, 2.5);
+});
+
+test('stop with a fade ramps the gain down before ending', () => {
+    const playback = audioMark.playSFX('hum');
+    context.advance(1);
+    
+    playback.stop(0.5);
+    assert.equal(playback.state, 'stopping');
+    assert.deepEqual(playback.gain.gain.events.at(-1), { type: 'linear', value: 0, time: 1.5 });
+    
+    context.advance(0.5);
+    assert.equal(playback.state, 'stopped');
+});
+
+test('pausing during a fade-out finishes the fade after resuming', () => {
+    const playback = audioMark.playSFX('hum');
+    context.advance(1);
+    playback.stop(2);
+    context.advance(1);
+    
+    assert.equal(playback.pause(), true);
+    context.advance(5);
+    assert.equal(playback.resume(), true);
+    
+    // Half the fade was left, from half the volume
+    assert.equal(playback.state, 'stopping');
+    assert.deepEqual(playback.gain.gain.events.slice(-2), [
+        { type: 'set', value: 0.5, time: 7 },
+        { type: 'linear', value: 0, time: 8 }
+    ]);
+    
+    context.advance(1);
+    assert.equal(playback.state, 'stopped');
+});
+
+test('loop points wrap the position', () => {
+    const playback = audioMark.playSFX('hum', { loop: true, loopStart: 1, loopEnd: 3 });
+    
+    assert.equal(playback.source.loopStart, 1);
+    assert.equal(playback.source.loopEnd, 3);
+    
+    context.advance(3.5);
+    assert.equal(playback.currentTime, 1.5);
+});
+
+test('setRate keeps the position correct', () => {
+    const playback = audioMark.playSFX('hum');
+    
+    context.advance(1);
+    playback.setRate(2);
+    context.advance(0.5);
+    
+    assert.equal(playback.currentTime, 2);
+    assert.equal(playback.endTime, 2.5);
+});
+
+test('voice limiting steals the oldest voice', () => {
+    audioMark.setSoundOptions('jump', { maxInstances: 2 });
+    
+    const first = audioMark.playSFX('jump');
+    const second = audioMark.playSFX('jump');
+    const third = audioMark.playSFX('jump');
+    
+    assert.equal(first.state, 'stopping');
+    assert.equal(second.state, 'playing');
+    assert.equal(third.state, 'playing');
+    assert.equal(audioMark.getState().stolenVoices, 1);
+});
+
+test('the reject policy refuses new voices at the cap', () => {
+    audioMark.setMaxVoices(1, 'reject');
+    
+    assert.ok(audioMark.playSFX('jump'));
+    assert.equal(audioMark.playSFX('hum'), null);
+    assert.equal(audioMark.getState().rejectedVoices, 1);
+});
+
+test('unknown voice policies are rejected', () => {
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    
+    assert.equal(audioMark.setMaxVoices(1, 'oldst'), false);
+    assert.equal(audioMark.setSoundOptions('jump', { maxInstances: 1, voicePolicy: 'newest' }), false);
+    
+    assert.equal(errors.length, 2);
+    assert.ok(errors.every(error => error instanceof InvalidArgumentError));
+    assert.equal(audioMark.maxVoices, Infinity);
+    assert.equal(audioMark.voicePolicy, 'oldest');
+    assert.ok(audioMark.playSFX('jump') && audioMark.playSFX('jump'));
+});
+
+test('positioned sounds play through a panner', () => {
+    const playback = audioMark.playSFX('jump', { position: { x: 3, y: 0, z: -1 } });
+    
+    assert.ok(playback.panner);
+    assert.equal(playback.panner.positionX.value, 3);
+    assert.equal(playback.panner.positionZ.value, -1);
+    
+    playback.setPosition({ x: -2 });
+    assert.equal(playback.panner.positionX.value, -2);
+    assert.equal(playback.panner.positionZ.value, -1);
+});
+
+test('panned sounds play through a stereo panner', () => {
+    const playback = audioMark.playSFX('jump', { pan: -0.5 });
+    
+    assert.equal(playback.panner, null);
+    assert.ok(playback.gain.outputs.has(playback.stereoPanner));
+    assert.equal(playback.effects.input, playback.stereoPanner);
+    assert.equal(playback.stereoPanner.pan.value, -0.5);
+    
+    // Pans are clamped to the stereo field
+    assert.equal(playback.setPan(3), true);
+    assert.equal(playback.pan, 1);
+    assert.equal(playback.stereoPanner.pan.value, 1);
+    
+    // Plays started without a pan or position cannot be panned or moved later
+    const plain = audioMark.playSFX('jump');
+    assert.equal(plain.stereoPanner, null);
+    assert.equal(plain.setPan(0.5), false);
+    assert.equal(plain.setPosition({ x: 1 }), false);
+});
+
+test('setListener updates the context listener and keeps omitted fields', async () => {
+    const listener = context.listener;
+    
+    audioMark.setListener({ position: { x: 4, z: 2 }, forward: { x: 1, z: 0 } });
+    
+    assert.deepEqual(audioMark.getListener(), {
+        position: { x: 4, y: 0, z: 2 },
+        forward: { x: 1, y: 0, z: 0 },
+        up: { x: 0, y: 1, z: 0 }
+    });
+    assert.equal(listener.positionX.value, 4);
+    assert.equal(listener.positionZ.value, 2);
+    assert.equal(listener.forwardX.value, 1);
+    assert.equal(listener.forwardZ.value, 0);
+    assert.equal(listener.upY.value, 1);
+    
+    // A listener set before initialize is applied by it
+    const early = new AudioMark({ context: new MockAudioContext() });
+    early.setListener({ position: { y: 3 } });
+    await early.initialize();
+    assert.equal(early.audioContext.listener.positionY.value, 3);
+    assert.equal(early.audioContext.listener.forwardZ.value, -1);
+});
+
+test('stopAll stops every playback', () => {
+    const sfx = audioMark.playSFX('jump');
+    const music = audioMark.playMusic('hum');
+    
+    audioMark.stopAll();
+    
+    assert.equal(sfx.state, 'stopped');
+    assert.equal(music.state, 'stopped');
+    assert.equal(audioMark.currentMusic, null);
+});
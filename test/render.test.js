@@ -0,0 +1,151 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioMark, InvalidArgumentError } from '../audio.js';
+import { MockAudioBuffer, MockAudioContext, MockOfflineAudioContext, encodeAudio } from './webaudio-mock.js';
+
+let audioMark;
+let rendered;
+
+// Keeps hold of the offline context so tests can inspect what was rendered
+const context = options => {
+    rendered = new MockOfflineAudioContext(options);
+    return rendered;
+};
+
+beforeEach(async () => {
+    audioMark = new AudioMark({ context: new MockAudioContext({ sampleRate: 8000 }) });
+    await audioMark.initialize();
+    await audioMark.loadAudio('jump', encodeAudio(1));
+    await audioMark.loadAudio('theme', encodeAudio(4));
+});
+
+test('renders the requested length at the live sample rate', async () => {
+    const buffer = await audioMark.renderOffline(2.5, () => {}, { context });
+    
+    assert.equal(buffer.length, 20000);
+    assert.equal(buffer.sampleRate, 8000);
+    assert.equal(buffer.numberOfChannels, 2);
+});
+
+test('copies buses, volumes and effects into the render', async () => {
+    audioMark.createBus('voice', { parent: 'sfx', volume: 30 });
+    audioMark.setVolume('music', 40);
+    audioMark.setMute('sfx', true);
+    audioMark.getEffectChain('master').insert('filter', { frequency: 800 });
+    audioMark.duck({ trigger: 'voice', target: 'music' });
+    
+    let copy;
+    await audioMark.renderOffline(1, offline => {
+        copy = {
+            buses: offline.getBuses(),
+            music: offline.musicGain.gain.value,
+            voice: offline.buses.get('voice').gain.gain.value,
+            sfxMuted: offline.isMuted('sfx'),
+            filter: offline.getEffectChain('master').effects[0].get('frequency'),
+            ducks: offline.duckRules.length,
+            loaded: offline.getState().loadedAudio
+        };
+    }, { context });
+    
+    assert.deepEqual(copy, {
+        buses: ['master', 'music', 'sfx', 'voice'],
+        music: 0.4,
+        voice: 0.3,
+        sfxMuted: true,
+        filter: 800,
+        ducks: 1,
+        loaded: ['jump', 'theme']
+    });
+    
+    // The live instance keeps its own graph and audio
+    assert.equal(audioMark.getEffectChain('master').effects.length, 1);
+    assert.deepEqual(audioMark.getState().loadedAudio, ['jump', 'theme']);
+});
+
+test('scripted actions run at their render time', async () => {
+    const started = [];
+    const buffer = await audioMark.renderOffline(3, (offline, at) => {
+        offline.on('play', ({ name }) => started.push({ name, time: rendered.currentTime }));
+        offline.playMusic('theme');
+        at(1.5, () => offline.playSFX('jump', { volume: 0.5 }));
+        at(0.5, () => offline.setVolume('music', 50));
+    }, { context });
+    
+    assert.ok(buffer);
+    assert.deepEqual(started, [
+        { name: 'theme', time: 0 },
+        { name: 'jump', time: 1.5 }
+    ]);
+    assert.equal(rendered.state, 'closed');
+});
+
+test('reports RENDER_FAILED when a scripted action throws', async () => {
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    
+    const buffer = await audioMark.renderOffline(1, (offline, at) => {
+        at(0.5, () => {
+            throw new Error('boom');
+        });
+    }, { context });
+    
+    assert.equal(buffer, null);
+    assert.equal(errors[0].code, 'RENDER_FAILED');
+    assert.equal(errors[0].cause.message, 'boom');
+});
+
+test('reports RENDER_FAILED without OfflineAudioContext', async () => {
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    
+    assert.equal(await audioMark.renderOffline(1, () => {}), null);
+    assert.equal(errors[0].code, 'RENDER_FAILED');
+});
+
+test('encodes 16-bit PCM WAV', () => {
+    const buffer = new MockAudioBuffer({ length: 2, numberOfChannels: 2, sampleRate: 8000 });
+    buffer.copyToChannel(new Float32Array([1, -1]), 0);
+    buffer.copyToChannel(new Float32Array([0.5, 2]), 1);
+    
+    const view = new DataView(audioMark.encodeWav(buffer));
+    const text = offset => String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+    
+    assert.equal(view.byteLength, 44 + 8);
+    assert.equal(text(0), 'RIFF');
+    assert.equal(view.getUint32(4, true), 44);
+    assert.equal(text(8), 'WAVE');
+    assert.equal(text(12), 'fmt ');
+    assert.equal(view.getUint16(20, true), 1);
+    assert.equal(view.getUint16(22, true), 2);
+    assert.equal(view.getUint32(24, true), 8000);
+    assert.equal(view.getUint32(28, true), 32000);
+    assert.equal(view.getUint16(32, true), 4);
+    assert.equal(view.getUint16(34, true), 16);
+    assert.equal(text(36), 'data');
+    assert.equal(view.getUint32(40, true), 8);
+    
+    // Samples are interleaved and clipped to full scale
+    assert.deepEqual([0, 1, 2, 3].map(i => view.getInt16(44 + i * 2, true)), [32767, 16384, -32768, 32767]);
+});
+
+test('encodes 32-bit float WAV as a Blob', async () => {
+    const buffer = new MockAudioBuffer({ length: 1, numberOfChannels: 1, sampleRate: 44100 });
+    buffer.copyToChannel(new Float32Array([-0.25]), 0);
+    
+    const blob = audioMark.encodeWavBlob(buffer, { bitDepth: 32 });
+    const view = new DataView(await blob.arrayBuffer());
+    
+    assert.equal(blob.type, 'audio/wav');
+    assert.equal(view.getUint16(20, true), 3);
+    assert.equal(view.getUint16(34, true), 32);
+    assert.equal(view.getFloat32(view.byteLength - 4, true), -0.25);
+});
+
+test('rejects unsupported bit depths', () => {
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    
+    assert.equal(audioMark.encodeWav(new MockAudioBuffer({ length: 1 }), { bitDepth: 8 }), null);
+    assert.ok(errors[0] instanceof InvalidArgumentError);
+});
@@ -0,0 +1,132 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioMark, InvalidArgumentError, MemoryStorage } from '../audio.js';
+import { MockAudioContext } from './webaudio-mock.js';
+
+let audioMark;
+let storage;
+let errors;
+
+beforeEach(async () => {
+    audioMark = new AudioMark({ context: new MockAudioContext() });
+    await audioMark.initialize();
+    audioMark.createBus('voice', { parent: 'sfx' });
+    storage = new MemoryStorage();
+    errors = [];
+    audioMark.on('error', error => errors.push(error));
+});
+
+test('volume curves map slider values to gain', () => {
+    audioMark.setVolume('music', 50);
+    assert.equal(audioMark.musicGain.gain.value, 0.5);
+    
+    assert.equal(audioMark.setVolumeCurve('db'), true);
+    assert.ok(Math.abs(audioMark.musicGain.gain.value - Math.pow(10, -30 / 20)) < 1e-12);
+    
+    audioMark.setVolumeCurve('db', { range: 40 });
+    assert.ok(Math.abs(audioMark.musicGain.gain.value - 0.1) < 1e-12);
+    
+    audioMark.setVolumeCurve('exponential', { range: 40 });
+    assert.ok(Math.abs(audioMark.musicGain.gain.value - 9 / 99) < 1e-12);
+    
+    // Every curve spans silence to full volume
+    ['linear', 'db', 'exponential'].forEach(curve => {
+        audioMark.setVolumeCurve(curve);
+        audioMark.setVolume('music', 0);
+        assert.equal(audioMark.musicGain.gain.value, 0);
+        audioMark.setVolume('music', 100);
+        assert.equal(audioMark.musicGain.gain.value, 1);
+    });
+    assert.equal(audioMark.getState().volumeCurve, 'exponential');
+});
+
+test('rejects unknown curves and ranges', () => {
+    assert.equal(audioMark.setVolumeCurve('cubic'), false);
+    assert.equal(audioMark.setVolumeCurve('db', { range: 0 }), false);
+    
+    assert.equal(errors.length, 2);
+    assert.ok(errors.every(error => error instanceof InvalidArgumentError));
+    assert.equal(audioMark.getState().volumeCurve, 'linear');
+});
+
+test('global mute silences the master bus and keeps other settings', () => {
+    audioMark.setVolume('master', 80);
+    audioMark.setMute('music', true);
+    
+    audioMark.setGlobalMute(true);
+    assert.equal(audioMark.masterGain.gain.value, 0);
+    assert.equal(audioMark.isGlobalMuted(), true);
+    assert.equal(audioMark.getVolume('master'), 80);
+    
+    assert.equal(audioMark.toggleGlobalMute(), false);
+    assert.equal(audioMark.masterGain.gain.value, 0.8);
+    assert.equal(audioMark.isMuted('music'), true);
+});
+
+test('saves and loads volumes and mutes', async () => {
+    audioMark.setVolume('music', 40);
+    audioMark.setVolume('voice', 65);
+    audioMark.setMute('sfx', true);
+    audioMark.setGlobalMute(true);
+    
+    assert.equal(await audioMark.saveSettings({ storage }), true);
+    assert.equal(JSON.parse(storage.getItem('audiomark-settings')).version, 1);
+    
+    const restored = new AudioMark({ context: new MockAudioContext() });
+    await restored.initialize();
+    restored.createBus('voice', { parent: 'sfx' });
+    
+    assert.equal(await restored.loadSettings({ storage }), true);
+    assert.equal(restored.getVolume('music'), 40);
+    assert.equal(restored.getVolume('voice'), 65);
+    assert.equal(restored.isMuted('sfx'), true);
+    assert.equal(restored.isGlobalMuted(), true);
+    assert.equal(restored.buses.get('voice').gain.gain.value, 0.65);
+});
+
+test('works with asynchronous storage and custom keys', async () => {
+    const items = new Map();
+    const asyncStorage = {
+        getItem: async key => (items.has(key) ? items.get(key) : null),
+        setItem: async (key, value) => items.set(key, value)
+    };
+    audioMark.setVolume('sfx', 20);
+    
+    await audioMark.saveSettings({ storage: asyncStorage, key: 'player1' });
+    audioMark.setVolume('sfx', 100);
+    
+    assert.equal(await audioMark.loadSettings({ storage: asyncStorage, key: 'player1' }), true);
+    assert.equal(audioMark.getVolume('sfx'), 20);
+});
+
+test('ignores settings for buses that do not exist', async () => {
+    storage.setItem('audiomark-settings', JSON.stringify({
+        version: 1,
+        volumes: { music: 30, ambience: 10 },
+        muted: { ambience: true }
+    }));
+    
+    assert.equal(await audioMark.loadSettings({ storage }), true);
+    assert.equal(audioMark.getVolume('music'), 30);
+    assert.equal(audioMark.getVolume('ambience'), undefined);
+});
+
+test('loading without saved settings changes nothing', async () => {
+    assert.equal(await audioMark.loadSettings({ storage }), false);
+    assert.deepEqual(errors, []);
+});
+
+test('reports unreadable settings and missing storage', async () => {
+    storage.setItem('audiomark-settings', '{not json');
+    assert.equal(await audioMark.loadSettings({ storage }), false);
+    
+    storage.setItem('audiomark-settings', JSON.stringify({ version: 99, volumes: { music: 0 } }));
+    assert.equal(await audioMark.loadSettings({ storage }), false);
+    assert.equal(audioMark.getVolume('music'), 100);
+    
+    // Node has no localStorage
+    assert.equal(await audioMark.saveSettings(), false);
+    
+    assert.deepEqual(errors.map(error => error.code), ['SETTINGS_FAILED', 'SETTINGS_FAILED', 'SETTINGS_FAILED']);
+});
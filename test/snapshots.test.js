@@ -0,0 +1,153 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioMark, InvalidArgumentError } from '../audio.js';
+import { MockAudioContext, encodeAudio } from './webaudio-mock.js';
+
+let audioMark;
+let context;
+let filter;
+
+beforeEach(async () => {
+    context = new MockAudioContext();
+    audioMark = new AudioMark({ context });
+    await audioMark.initialize();
+    filter = audioMark.getEffectChain('music').insert('filter', { frequency: 20000 });
+});
+
+test('captures and restores the whole mixer', () => {
+    audioMark.setVolume('music', 80);
+    assert.equal(audioMark.saveSnapshot('normal'), true);
+    
+    audioMark.setVolume('music', 10);
+    audioMark.setMute('sfx', true);
+    filter.set('frequency', 500);
+    
+    assert.equal(audioMark.applySnapshot('normal'), true);
+    assert.equal(audioMark.getVolume('music'), 80);
+    assert.equal(audioMark.musicGain.gain.value, 0.8);
+    assert.equal(audioMark.isMuted('sfx'), false);
+    assert.equal(filter.get('frequency'), 20000);
+    assert.deepEqual(audioMark.getSnapshots(), ['normal']);
+});
+
+test('applySnapshot blends over a duration', () => {
+    audioMark.saveSnapshot('combat', {
+        volumes: { music: 70 },
+        effects: { music: [{ frequency: 2000 }] }
+    });
+    context.advance(1);
+    
+    audioMark.applySnapshot('combat', { duration: 2 });
+    
+    assert.deepEqual(audioMark.musicGain.gain.events.slice(-2), [
+        { type: 'set', value: 1, time: 1 },
+        { type: 'linear', value: 0.7, time: 3 }
+    ]);
+    assert.deepEqual(filter.node.frequency.events.at(-1), { type: 'linear', value: 2000, time: 3 });
+    
+    // Buses the snapshot leaves out keep their volume
+    assert.equal(audioMark.getVolume('sfx'), 100);
+});
+
+test('volume changes on other buses leave a blend running', () => {
+    audioMark.saveSnapshot('quiet', { volumes: { music: 0 } });
+    audioMark.applySnapshot('quiet', { duration: 4 });
+    const blend = audioMark.musicGain.gain.events.length;
+    context.advance(1);
+    
+    audioMark.setVolume('sfx', 50);
+    audioMark.setMute('sfx', true);
+    audioMark.setSolo('sfx', false);
+    audioMark.setVolumeCurve('linear');
+    audioMark.setGlobalMute(true);
+    
+    assert.equal(audioMark.musicGain.gain.events.length, blend);
+    assert.equal(audioMark.sfxGain.gain.value, 0);
+    assert.equal(audioMark.masterGain.gain.value, 0);
+    
+    // Changing the blended bus itself replaces the blend
+    audioMark.setVolume('music', 40);
+    assert.deepEqual(audioMark.musicGain.gain.events.slice(-2), [
+        { type: 'cancel', time: 1 },
+        { type: 'set', value: 0.4, time: 1 }
+    ]);
+});
+
+test('exponential blends fade to silence before dropping to it', () => {
+    audioMark.saveSnapshot('silent', { volumes: { music: 0 }, effects: { music: [{ frequency: 400 }] } });
+    
+    audioMark.applySnapshot('silent', { duration: 1, curve: 'exponential' });
+    
+    assert.deepEqual(audioMark.musicGain.gain.events.slice(-2), [
+        { type: 'exponential', value: 0.0001, time: 1 },
+        { type: 'set', value: 0, time: 1 }
+    ]);
+    assert.deepEqual(filter.node.frequency.events.at(-1), { type: 'exponential', value: 400, time: 1 });
+});
+
+test('pushed snapshots stack and pop back in order', () => {
+    audioMark.setVolume('music', 80);
+    audioMark.setVolume('sfx', 90);
+    audioMark.saveSnapshot('combat', { volumes: { music: 60 } });
+    audioMark.saveSnapshot('paused', {
+        volumes: { music: 30, sfx: 0 },
+        effects: { music: [{ frequency: 800 }] }
+    });
+    
+    audioMark.pushSnapshot('combat');
+    audioMark.pushSnapshot('paused');
+    assert.deepEqual(audioMark.getState().snapshotStack, ['combat', 'paused']);
+    assert.equal(audioMark.getVolume('music'), 30);
+    assert.equal(filter.get('frequency'), 800);
+    
+    // Settings the overlay does not touch are left as they are on pop
+    audioMark.setVolume('master', 50);
+    
+    assert.equal(audioMark.popSnapshot({ duration: 0.5 }), true);
+    assert.equal(audioMark.getVolume('music'), 60);
+    assert.equal(audioMark.getVolume('sfx'), 90);
+    assert.equal(audioMark.getVolume('master'), 50);
+    assert.equal(filter.get('frequency'), 20000);
+    
+    audioMark.popSnapshot();
+    assert.equal(audioMark.getVolume('music'), 80);
+    assert.equal(audioMark.popSnapshot(), false);
+});
+
+test('mutes blend to silence', () => {
+    audioMark.saveSnapshot('cutscene', { muted: { sfx: true } });
+    
+    audioMark.applySnapshot('cutscene', { duration: 0.5 });
+    
+    assert.equal(audioMark.isMuted('sfx'), true);
+    assert.deepEqual(audioMark.sfxGain.gain.events.at(-1), { type: 'linear', value: 0, time: 0.5 });
+});
+
+test('snapshots apply on top of ducking', async () => {
+    audioMark.createBus('voice', { parent: 'master' });
+    audioMark.duck({ trigger: 'voice', target: 'music', amount: -20 });
+    audioMark.saveSnapshot('quiet', { volumes: { music: 50 } });
+    await audioMark.loadAudio('line', encodeAudio(1));
+    
+    audioMark.playSFX('line', { bus: 'voice' });
+    audioMark.applySnapshot('quiet');
+    
+    assert.equal(audioMark.musicGain.gain.value, 0.5 * 0.1);
+});
+
+test('reports unknown snapshots, buses and curves', () => {
+    const errors = [];
+    audioMark.on('error', error => errors.push(error));
+    
+    assert.equal(audioMark.applySnapshot('missing'), false);
+    assert.equal(audioMark.pushSnapshot('missing'), false);
+    assert.equal(audioMark.saveSnapshot('bad', { volumes: { ambience: 50 } }), false);
+    audioMark.saveSnapshot('normal');
+    assert.equal(audioMark.applySnapshot('normal', { curve: 'cubic' }), false);
+    
+    assert.equal(errors.length, 4);
+    assert.ok(errors.every(error => error instanceof InvalidArgumentError));
+    assert.deepEqual(audioMark.getSnapshots(), ['normal']);
+    assert.equal(audioMark.deleteSnapshot('normal'), true);
+});
@@ -0,0 +1,128 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioMark, DecodeError, FetchError, PlaybackError } from '../audio.js';
+import { MockAudioContext, createAudio } from './webaudio-mock.js';
+
+const originalAudio = globalThis.Audio;
+let audioMark;
+let context;
+let errors;
+
+beforeEach(async () => {
+    globalThis.Audio = createAudio({ 'theme.mp3': 120, 'battle.mp3': 90, 'broken.mp3': null });
+    context = new MockAudioContext();
+    audioMark = new AudioMark({ context });
+    await audioMark.initialize();
+    errors = [];
+    audioMark.on('error', error => errors.push(error));
+    
+    await audioMark.loadAudio('theme', 'theme.mp3', { stream: true });
+    await audioMark.loadAudio('battle', 'battle.mp3', { stream: true });
+});
+
+afterEach(() => {
+    audioMark.cleanup();
+    globalThis.Audio = originalAudio;
+});
+
+test('streamed audio loads only its metadata', () => {
+    const [probe] = globalThis.Audio.elements;
+    
+    assert.equal(probe.preload, 'metadata');
+    assert.equal(probe.src, '');
+    assert.equal(audioMark.isLoaded('theme'), true);
+    assert.equal(audioMark.audioBuffers.has('theme'), false);
+    assert.equal(audioMark.playMusic('theme').duration, 120);
+});
+
+test('streamed music plays through its playback gain and the music bus', () => {
+    const playback = audioMark.playMusic('theme', { volume: 0.5 });
+    const { element, node } = playback.source;
+    
+    assert.equal(element.src, 'theme.mp3');
+    assert.equal(element.paused, false);
+    assert.equal(element.loop, true);
+    assert.ok(node.outputs.has(playback.gain));
+    assert.equal(playback.effects.output, audioMark.musicGain);
+    assert.equal(playback.gain.gain.value, 0.5);
+    
+    playback.setVolume(0.3);
+    audioMark.setVolume('music', 50);
+    assert.equal(playback.gain.gain.value, 0.3);
+    assert.equal(audioMark.musicGain.gain.value, 0.5);
+});
+
+test('pauseMusic and resumeMusic keep the stream position and volume', () => {
+    const playback = audioMark.playMusic('theme', { volume: 0.4 });
+    const first = playback.source.element;
+    context.advance(30);
+    
+    assert.equal(audioMark.pauseMusic(), true);
+    assert.equal(first.paused, true);
+    context.advance(10);
+    
+    assert.equal(audioMark.resumeMusic(), true);
+    assert.equal(playback.source.element.currentTime, 30);
+    assert.equal(playback.source.element.paused, false);
+    assert.equal(playback.currentTime, 30);
+    assert.equal(playback.gain.gain.value, 0.4);
+});
+
+test('stop with a fade ends the stream once the fade is done', async () => {
+    const playback = audioMark.playMusic('theme');
+    const { element } = playback.source;
+    
+    playback.stop(0.02);
+    assert.equal(playback.state, 'stopping');
+    assert.deepEqual(playback.gain.gain.events.at(-1), { type: 'linear', value: 0, time: 0.02 });
+    assert.equal(element.paused, false);
+    
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.equal(playback.state, 'stopped');
+    assert.equal(element.paused, true);
+});
+
+test('a stream that plays to the end ends the music', () => {
+    const playback = audioMark.playMusic('theme', { loop: false });
+    
+    playback.source.element.finish();
+    
+    assert.equal(playback.state, 'stopped');
+    assert.equal(audioMark.currentMusic, null);
+});
+
+test('a stream failing while it plays is reported, even in throw mode', () => {
+    audioMark.setErrorMode('throw');
+    const playback = audioMark.playMusic('theme');
+    
+    assert.doesNotThrow(() => playback.source.element.fail());
+    
+    assert.equal(playback.state, 'stopped');
+    assert.ok(errors[0] instanceof PlaybackError);
+    assert.equal(errors[0].audioName, 'theme');
+});
+
+test('transitionMusic crossfades between streams', async () => {
+    const old = audioMark.playMusic('theme');
+    
+    assert.equal(await audioMark.transitionMusic('battle', 1), true);
+    
+    const playback = audioMark.currentMusic.playback;
+    assert.equal(playback.source.element.src, 'battle.mp3');
+    assert.equal(old.state, 'stopping');
+    assert.deepEqual(old.gain.gain.events.at(-1), { type: 'linear', value: 0, time: 1 });
+    assert.deepEqual(playback.gain.gain.events.at(-1), { type: 'linear', value: 1, time: 1 });
+});
+
+test('stream load failures are reported as FetchError and DecodeError', async () => {
+    assert.equal(await audioMark.loadAudio('missing', 'missing.mp3', { stream: true }), false);
+    assert.equal(await audioMark.loadAudio('broken', 'broken.mp3', { stream: true }), false);
+    
+    assert.ok(errors[0] instanceof FetchError);
+    assert.equal(errors[0].url, 'missing.mp3');
+    assert.equal(errors[0].audioName, 'missing');
+    assert.ok(errors[1] instanceof DecodeError);
+    assert.equal(errors[1].audioName, 'broken');
+    assert.equal(audioMark.isLoaded('broken'), false);
+});
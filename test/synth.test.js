@@ -0,0 +1,113 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioMark, InvalidArgumentError } from '../audio.js';
+import { MockAudioContext } from './webaudio-mock.js';
+
+let audioMark;
+let errors;
+
+beforeEach(async () => {
+    audioMark = new AudioMark({ context: new MockAudioContext({ sampleRate: 8000 }) });
+    await audioMark.initialize();
+    errors = [];
+    audioMark.on('error', error => errors.push(error));
+});
+
+const samples = name => Array.from(audioMark.audioBuffers.get(name).getChannelData(0));
+
+test('built-in presets generate playable audio', () => {
+    const loaded = [];
+    audioMark.on('load', ({ name }) => loaded.push(name));
+    
+    assert.deepEqual(audioMark.getSynthPresets(), ['coin', 'jump', 'laser', 'explosion', 'hit']);
+    audioMark.getSynthPresets().forEach(preset => {
+        assert.equal(audioMark.synthesize(preset, preset), true);
+        assert.ok(samples(preset).some(sample => sample !== 0));
+    });
+    
+    assert.deepEqual(loaded, audioMark.getSynthPresets());
+    assert.ok(audioMark.playSFX('coin'));
+    assert.deepEqual(errors, []);
+});
+
+test('the envelope sets the length and shape', () => {
+    audioMark.synthesize('beep', {
+        wave: 'square',
+        frequency: 1000,
+        attack: 0.5,
+        decay: 0,
+        sustain: 1,
+        hold: 0.25,
+        release: 0.25,
+        volume: 1
+    });
+    const buffer = audioMark.audioBuffers.get('beep');
+    const data = samples('beep');
+    
+    assert.equal(buffer.numberOfChannels, 1);
+    assert.equal(buffer.length, 8000);
+    assert.equal(data[0], 0);
+    assert.equal(Math.abs(data[2000]), 0.5);
+    assert.equal(Math.abs(data[5000]), 1);
+    assert.ok(Math.abs(data[7999]) < 0.01);
+});
+
+test('presets take parameter overrides', () => {
+    audioMark.synthesize('low', { preset: 'jump', frequency: 100 });
+    audioMark.synthesize('high', 'jump');
+    
+    assert.equal(samples('low').length, samples('high').length);
+    assert.notDeepEqual(samples('low'), samples('high'));
+});
+
+test('bit crushing quantises and holds samples', () => {
+    audioMark.synthesize('crushed', { wave: 'sine', bits: 2, downsample: 4, volume: 1 });
+    const data = samples('crushed');
+    
+    assert.ok(data.every(sample => [-1, -0.5, 0, 0.5, 1].includes(sample)));
+    for (let i = 0; i < data.length; i++) {
+        assert.equal(data[i], data[i - i % 4]);
+    }
+});
+
+test('noise is repeatable for a seed', () => {
+    audioMark.synthesize('a', { preset: 'explosion', seed: 5 });
+    audioMark.synthesize('b', { preset: 'explosion', seed: 5 });
+    audioMark.synthesize('c', { preset: 'explosion', seed: 6 });
+    
+    assert.deepEqual(samples('a'), samples('b'));
+    assert.notDeepEqual(samples('a'), samples('c'));
+});
+
+test('mutateSynth makes repeatable variations within the amount', () => {
+    const first = audioMark.mutateSynth('laser', { seed: 42, amount: 0.1 });
+    const again = audioMark.mutateSynth('laser', { seed: 42, amount: 0.1 });
+    const other = audioMark.mutateSynth('laser', { seed: 43, amount: 0.1 });
+    
+    assert.deepEqual(first, again);
+    assert.notDeepEqual(first, other);
+    assert.equal(first.wave, 'sawtooth');
+    assert.ok(first.frequency >= 1350 && first.frequency <= 1650);
+    assert.notEqual(first.frequency, 1500);
+    
+    assert.equal(audioMark.synthesize('laser2', first), true);
+});
+
+test('synthesized audio counts towards the memory budget but is never evicted', () => {
+    audioMark.synthesize('coin', 'coin');
+    audioMark.setMemoryBudget(0);
+    
+    assert.ok(audioMark.getMemoryUsage().assets.coin > 0);
+    assert.deepEqual(audioMark.getState().loadedAudio, ['coin']);
+});
+
+test('reports unknown presets and waves', () => {
+    assert.equal(audioMark.synthesize('x', 'whoosh'), false);
+    assert.equal(audioMark.synthesize('x', { wave: 'pulse' }), false);
+    assert.equal(audioMark.mutateSynth('whoosh'), null);
+    
+    assert.equal(errors.length, 3);
+    assert.ok(errors.every(error => error instanceof InvalidArgumentError));
+    assert.equal(audioMark.isLoaded('x'), false);
+});
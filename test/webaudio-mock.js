@@ -0,0 +1,465 @@
+/**
+ * Minimal Web Audio API mock for running AudioMark under Node
+ *
+ * Nodes record their connections and AudioParams record their automation
+ * events. Time only moves when a test calls context.advance(), which also
+ * fires onended for sources that have finished by then.
+ *
+ * "Encoded" audio is any ArrayBuffer: decoding gives BYTES_PER_SECOND bytes
+ * per second of stereo audio, and an empty buffer fails to decode.
+ *
+ * createAudio() builds an Audio element stand-in for streamed audio. Its
+ * playhead does not move; tests call finish() to end the media.
+ */
+
+export const BYTES_PER_SECOND = 1000;
+
+/**
+ * Encoded test audio of a given length
+ * @param {number} seconds - Duration once decoded
+ */
+export function encodeAudio(seconds) {
+    return new ArrayBuffer(Math.round(seconds * BYTES_PER_SECOND));
+}
+
+/**
+ * A fetch() stand-in that serves encoded audio by URL, and 404 for anything else
+ * @param {Object} files - Map of { url: seconds }
+ * @returns {Function} fetch function; its .requests array lists every requested URL
+ */
+export function createFetch(files) {
+    const fetch = async url => {
+        fetch.requests.push(url);
+        if (!(url in files)) {
+            return new Response(null, { status: 404, statusText: 'Not Found' });
+        }
+        return new Response(encodeAudio(files[url]));
+    };
+    fetch.requests = [];
+    return fetch;
+}
+
+/**
+ * An Audio (HTMLAudioElement) stand-in for streamed audio and format probing
+ * @param {Object} files - Map of { url: seconds }. Other URLs fail with a network
+ *     error, and a duration of null fails as an unsupported format.
+ * @param {Object} formats - Map of { mimeType: 'probably' | 'maybe' } for canPlayType()
+ * @returns {Function} Audio class; its .elements array lists every element created
+ */
+export function createAudio(files = {}, formats = {}) {
+    const Audio = class extends MockAudioElement {};
+    Audio.files = files;
+    Audio.formats = formats;
+    Audio.elements = [];
+    return Audio;
+}
+
+export class MockAudioElement {
+    constructor() {
+        this.crossOrigin = null;
+        this.preload = 'auto';
+        this.preservesPitch = true;
+        this.loop = false;
+        this.playbackRate = 1;
+        this.currentTime = 0;
+        this.duration = NaN;
+        this.paused = true;
+        this.error = null;
+        this.onloadedmetadata = null;
+        this.onerror = null;
+        this.onended = null;
+        this._src = '';
+        this.constructor.elements.push(this);
+    }
+    
+    get src() {
+        return this._src;
+    }
+    
+    set src(url) {
+        this._src = url;
+        // Like the real thing, metadata arrives asynchronously
+        setTimeout(() => this._loadMetadata(url), 0);
+    }
+    
+    _loadMetadata(url) {
+        if (this._src !== url) return;
+        
+        const { files } = this.constructor;
+        if (!(url in files)) {
+            this.error = { code: 2, message: 'MEDIA_ERR_NETWORK' };
+            if (this.onerror) this.onerror();
+        } else if (files[url] === null) {
+            this.error = { code: 4, message: 'MEDIA_ERR_SRC_NOT_SUPPORTED' };
+            if (this.onerror) this.onerror();
+        } else {
+            this.duration = files[url];
+            if (this.onloadedmetadata) this.onloadedmetadata();
+        }
+    }
+    
+    removeAttribute(name) {
+        if (name === 'src') this._src = '';
+    }
+    
+    load() {}
+    
+    async play() {
+        this.paused = false;
+    }
+    
+    pause() {
+        this.paused = true;
+    }
+    
+    canPlayType(mimeType) {
+        return this.constructor.formats[mimeType] || '';
+    }
+    
+    /**
+     * Play to the end of the media, as if it had finished on its own
+     */
+    finish() {
+        this.paused = true;
+        if (this.onended) this.onended();
+    }
+    
+    /**
+     * Fail with a network error, as if the media stopped loading
+     */
+    fail() {
+        this.paused = true;
+        this.error = { code: 2, message: 'MEDIA_ERR_NETWORK' };
+        if (this.onerror) this.onerror();
+    }
+}
+
+export class MockAudioParam {
+    constructor(value) {
+        this.value = value;
+        this.events = [];
+    }
+    
+    setValueAtTime(value, time) {
+        this.value = value;
+        this.events.push({ type: 'set', value, time });
+        return this;
+    }
+    
+    linearRampToValueAtTime(value, time) {
+        this.value = value;
+        this.events.push({ type: 'linear', value, time });
+        return this;
+    }
+    
+    exponentialRampToValueAtTime(value, time) {
+        this.value = value;
+        this.events.push({ type: 'exponential', value, time });
+        return this;
+    }
+    
+    setTargetAtTime(value, time, timeConstant) {
+        this.value = value;
+        this.events.push({ type: 'target', value, time, timeConstant });
+        return this;
+    }
+    
+    setValueCurveAtTime(values, time, duration) {
+        this.value = values[values.length - 1];
+        this.events.push({ type: 'curve', values: Array.from(values), time, duration });
+        return this;
+    }
+    
+    cancelScheduledValues(time) {
+        this.events.push({ type: 'cancel', time });
+        return this;
+    }
+    
+    cancelAndHoldAtTime(time) {
+        this.events.push({ type: 'hold', time });
+        return this;
+    }
+}
+
+export class MockAudioNode {
+    constructor(context) {
+        this.context = context;
+        this.outputs = new Set();
+    }
+    
+    connect(destination) {
+        this.outputs.add(destination);
+        return destination;
+    }
+    
+    disconnect(destination) {
+        if (destination) {
+            this.outputs.delete(destination);
+        } else {
+            this.outputs.clear();
+        }
+    }
+}
+
+export class MockAudioBuffer {
+    constructor({ length, numberOfChannels = 2, sampleRate = 48000 }) {
+        this.length = length;
+        this.numberOfChannels = numberOfChannels;
+        this.sampleRate = sampleRate;
+        this.duration = length / sampleRate;
+        this._channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    }
+    
+    getChannelData(channel) {
+        return this._channels[channel];
+    }
+    
+    copyToChannel(source, channel, offset = 0) {
+        this._channels[channel].set(source, offset);
+    }
+}
+
+export class MockAudioBufferSourceNode extends MockAudioNode {
+    constructor(context) {
+        super(context);
+        this.buffer = null;
+        this.loop = false;
+        this.loopStart = 0;
+        this.loopEnd = 0;
+        this.playbackRate = new MockAudioParam(1);
+        this.onended = null;
+        this.startTime = null;
+        this.offset = 0;
+        this.duration = undefined;
+        this.stopTime = null;
+    }
+    
+    start(when = 0, offset = 0, duration = undefined) {
+        if (this.startTime !== null) {
+            throw new Error('InvalidStateError: start() called twice');
+        }
+        this.startTime = when;
+        this.offset = offset;
+        this.duration = duration;
+        this.context._sources.add(this);
+    }
+    
+    stop(when = 0) {
+        if (this.startTime === null) {
+            throw new Error('InvalidStateError: stop() before start()');
+        }
+        this.stopTime = when;
+    }
+    
+    /**
+     * Context time at which this source stops producing sound
+     */
+    get endTime() {
+        let end = Infinity;
+        if (!this.loop && this.buffer) {
+            const length = this.duration !== undefined ? this.duration : this.buffer.duration - this.offset;
+            end = this.startTime + length / this.playbackRate.value;
+        }
+        if (this.stopTime !== null) {
+            end = Math.min(end, Math.max(this.stopTime, this.startTime));
+        }
+        return end;
+    }
+}
+
+export class MockAudioContext {
+    constructor({ sampleRate = 48000, state = 'running' } = {}) {
+        this.sampleRate = sampleRate;
+        this.state = state;
+        this.currentTime = 0;
+        this.destination = new MockAudioNode(this);
+        this.onstatechange = null;
+        this._sources = new Set();
+        
+        this.listener = {};
+        ['positionX', 'positionY', 'positionZ', 'forwardX', 'forwardY', 'forwardZ', 'upX', 'upY', 'upZ']
+            .forEach(name => {
+                this.listener[name] = new MockAudioParam(0);
+            });
+    }
+    
+    createGain() {
+        const node = new MockAudioNode(this);
+        node.gain = new MockAudioParam(1);
+        return node;
+    }
+    
+    createBufferSource() {
+        return new MockAudioBufferSourceNode(this);
+    }
+    
+    createBuffer(numberOfChannels, length, sampleRate) {
+        return new MockAudioBuffer({ numberOfChannels, length, sampleRate });
+    }
+    
+    createBiquadFilter() {
+        const node = new MockAudioNode(this);
+        node.type = 'lowpass';
+        node.frequency = new MockAudioParam(350);
+        node.Q = new MockAudioParam(1);
+        node.gain = new MockAudioParam(0);
+        return node;
+    }
+    
+    createDelay(maxDelayTime = 1) {
+        const node = new MockAudioNode(this);
+        node.maxDelayTime = maxDelayTime;
+        node.delayTime = new MockAudioParam(0);
+        return node;
+    }
+    
+    createConvolver() {
+        const node = new MockAudioNode(this);
+        node.buffer = null;
+        node.normalize = true;
+        return node;
+    }
+    
+    createDynamicsCompressor() {
+        const node = new MockAudioNode(this);
+        node.threshold = new MockAudioParam(-24);
+        node.knee = new MockAudioParam(30);
+        node.ratio = new MockAudioParam(12);
+        node.attack = new MockAudioParam(0.003);
+        node.release = new MockAudioParam(0.25);
+        return node;
+    }
+    
+    createWaveShaper() {
+        const node = new MockAudioNode(this);
+        node.curve = null;
+        node.oversample = 'none';
+        return node;
+    }
+    
+    createPanner() {
+        const node = new MockAudioNode(this);
+        ['positionX', 'positionY', 'positionZ', 'orientationX', 'orientationY', 'orientationZ']
+            .forEach(name => {
+                node[name] = new MockAudioParam(0);
+            });
+        return node;
+    }
+    
+    createStereoPanner() {
+        const node = new MockAudioNode(this);
+        node.pan = new MockAudioParam(0);
+        return node;
+    }
+    
+    createMediaElementSource(mediaElement) {
+        const node = new MockAudioNode(this);
+        node.mediaElement = mediaElement;
+        return node;
+    }
+    
+    async decodeAudioData(arrayBuffer) {
+        if (arrayBuffer.byteLength === 0) {
+            throw new Error('EncodingError: Unable to decode audio data');
+        }
+        
+        // Like the real thing, decoding detaches the buffer it is given
+        const length = Math.round(arrayBuffer.byteLength / BYTES_PER_SECOND * this.sampleRate);
+        structuredClone(arrayBuffer, { transfer: [arrayBuffer] });
+        return new MockAudioBuffer({ length, sampleRate: this.sampleRate });
+    }
+    
+    async resume() {
+        this._setState('running');
+    }
+    
+    async suspend() {
+        this._setState('suspended');
+    }
+    
+    async close() {
+        this._setState('closed');
+    }
+    
+    _setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        if (this.onstatechange) this.onstatechange();
+    }
+    
+    /**
+     * Move time forward, ending any sources that finish by then
+     * @param {number} seconds - Time to advance by
+     */
+    advance(seconds = 0) {
+        this.currentTime += seconds;
+        this._sources.forEach(source => {
+            if (source.endTime <= this.currentTime) {
+                this._sources.delete(source);
+                if (source.onended) source.onended();
+            }
+        });
+    }
+    
+    /**
+     * Sources that have started and not yet ended
+     */
+    get playingSources() {
+        return Array.from(this._sources);
+    }
+}
+
+export class MockOfflineAudioContext extends MockAudioContext {
+    constructor({ numberOfChannels = 2, length, sampleRate = 48000 }) {
+        super({ sampleRate, state: 'suspended' });
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        this._suspensions = [];
+        this._continue = null;
+    }
+    
+    /**
+     * Suspend rendering at a time; the promise resolves once rendering gets there
+     * @param {number} time - Render time in seconds
+     */
+    suspend(time) {
+        if (time < this.currentTime || time >= this.length / this.sampleRate) {
+            return Promise.reject(new Error('InvalidStateError: suspend time out of range'));
+        }
+        return new Promise(resolve => {
+            this._suspensions.push({ time, resolve });
+            this._suspensions.sort((a, b) => a.time - b.time);
+        });
+    }
+    
+    async resume() {
+        if (this._continue) {
+            const resolve = this._continue;
+            this._continue = null;
+            resolve();
+        }
+    }
+    
+    async startRendering() {
+        this._setState('running');
+        
+        while (this._suspensions.length > 0) {
+            const { time, resolve } = this._suspensions.shift();
+            this.advance(time - this.currentTime);
+            this._setState('suspended');
+            await new Promise(resolveContinue => {
+                this._continue = resolveContinue;
+                resolve();
+            });
+            this._setState('running');
+        }
+        
+        this.advance(this.length / this.sampleRate - this.currentTime);
+        this._setState('closed');
+        return new MockAudioBuffer({
+            length: this.length,
+            numberOfChannels: this.numberOfChannels,
+            sampleRate: this.sampleRate
+        });
+    }
+}